@@ -0,0 +1,76 @@
+/* iCalendar (RFC 5545) builder for shows, shared by the scraper (Node, the
+   dmh-events*.ics feeds) and the dashboard (browser, "Export → iCalendar"), so
+   both produce the same VEVENTs. Times are written as Europe/London wall-clock
+   with a VTIMEZONE; a start at UTC midnight means the time is unknown and
+   becomes an all-day event.
+*/
+const TZ = 'Europe/London';
+const DURATION = 'PT2H30M'; // listings carry no end time
+
+const VTIMEZONE_LONDON = [
+  'BEGIN:VTIMEZONE', 'TZID:Europe/London', 'X-LIC-LOCATION:Europe/London',
+  'BEGIN:DAYLIGHT', 'TZOFFSETFROM:+0000', 'TZOFFSETTO:+0100', 'TZNAME:BST',
+  'DTSTART:19700329T010000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'END:DAYLIGHT',
+  'BEGIN:STANDARD', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0000', 'TZNAME:GMT',
+  'DTSTART:19701025T020000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const icsEscape = (s='') => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsStamp = (iso) => iso.replace(/[-:]/g, '').replace(/\.\d+/, '');   // 2025-10-07T18:30:00.000Z → 20251007T183000Z
+const noTime = (iso) => /T00:00:00(\.000)?Z$/.test(iso);
+
+/** Fold to 75 octets per line (§3.1), never splitting a UTF-8 character. */
+function icsFold(line) {
+  const enc = new TextEncoder(), out = []; let cur = '', bytes = 0;
+  for (const ch of line) {
+    const b = enc.encode(ch).length;
+    if (bytes + b > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+    cur += ch; bytes += b;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+/** "20251007T193000" for the show's start in its venue's time zone. */
+function localStamp(iso, tz) {
+  const p = Object.fromEntries(new Intl.DateTimeFormat('en-GB', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' })
+    .formatToParts(new Date(iso)).map(x => [x.type, x.value]));
+  return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+}
+
+function icsEvent(e, dtstamp, venues) {
+  const lines = ['BEGIN:VEVENT', `UID:${e.id}@dmhshows`, `DTSTAMP:${dtstamp}`];
+  if (noTime(e.start)) lines.push(`DTSTART;VALUE=DATE:${e.start.slice(0, 10).replace(/-/g, '')}`);
+  else lines.push(`DTSTART;TZID=${e.tz || TZ}:${localStamp(e.start, e.tz || TZ)}`, `DURATION:${DURATION}`);
+  const desc = [`Status: ${e.status || 'UNKNOWN'}`, `Sold: ${e.override_pct}%${e.pct_source === 'status' ? ' (estimated)' : ''}`];
+  if (e.doors) desc.push(`Doors: ${e.doors}`);
+  if (e.forecast_sellout) desc.push(`Forecast sell-out: ${e.forecast_sellout.date} (confidence ${e.forecast_sellout.confidence})`);
+  lines.push(
+    `SUMMARY:${icsEscape(e.title)}`,
+    `DESCRIPTION:${icsEscape(desc.join('\n'))}`,
+    `LOCATION:${icsEscape(venues[e.venue] || e.venue || '')}`,
+    ...(e.url || e.tickets_url ? [`URL:${e.url || e.tickets_url}`] : []),
+    'STATUS:CONFIRMED',
+    'END:VEVENT'
+  );
+  return lines;
+}
+
+/**
+ * A VCALENDAR for `events` (those without a start are left out).
+ *   name     X-WR-CALNAME shown by calendar apps
+ *   prodid   PRODID, to tell the feeds from dashboard exports
+ *   venues   { venue id: display name } for LOCATION
+ */
+export function buildICS(events, { name, prodid = '-//dmhshows//dmh-scraper//EN', venues = {} } = {}) {
+  const dtstamp = icsStamp(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${prodid}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsEscape(name)}`, `X-WR-TIMEZONE:${TZ}`,
+    ...VTIMEZONE_LONDON,
+    ...events.filter(e => e.start).flatMap(e => icsEvent(e, dtstamp, venues)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
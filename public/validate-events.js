@@ -0,0 +1,59 @@
+/* Minimal JSON Schema checker for dmh-events.json, shared by the scraper (Node)
+   and the dashboard (browser, via dynamic import). Supports the subset the
+   schema uses: type, required, properties, additionalProperties, items, enum,
+   const, minimum, maximum, minLength, pattern, format: date-time and local
+   $ref ("#/$defs/…"). Returns readable "path: problem" strings; [] means valid.
+*/
+export const SCHEMA_VERSION = '1.3.0';
+
+const typeOf = (v) => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+const show = (v) => { const s = JSON.stringify(v); return s && s.length > 40 ? s.slice(0, 37) + '…' : s; };
+
+export function validate(schema, data, { maxErrors = 50 } = {}) {
+  const errors = [];
+  const resolve = (s) => {
+    if (!s?.$ref) return s;
+    const parts = s.$ref.replace(/^#\//, '').split('/');
+    return resolve(parts.reduce((node, k) => node?.[k], schema));
+  };
+
+  const check = (s, v, at) => {
+    if (errors.length >= maxErrors) return;
+    s = resolve(s);
+    if (!s) return;
+    const fail = (msg) => errors.push(`${at || '(root)'}: ${msg}`);
+
+    if (s.type) {
+      const types = [].concat(s.type);
+      const t = typeOf(v);
+      const ok = types.some(x => x === t || (x === 'integer' && Number.isInteger(v)) || (x === 'number' && t === 'number' && Number.isFinite(v)));
+      if (!ok) return fail(`expected ${types.join(' or ')}, got ${t === 'number' && !Number.isFinite(v) ? 'NaN' : t}`);
+    }
+    if ('const' in s && v !== s.const) return fail(`must be ${show(s.const)}, got ${show(v)}`);
+    if (s.enum && !s.enum.includes(v)) return fail(`must be one of ${s.enum.map(show).join(', ')}, got ${show(v)}`);
+
+    if (typeof v === 'number') {
+      if (s.minimum != null && v < s.minimum) fail(`must be ≥ ${s.minimum}, got ${v}`);
+      if (s.maximum != null && v > s.maximum) fail(`must be ≤ ${s.maximum}, got ${v}`);
+    }
+    if (typeof v === 'string') {
+      if (s.minLength != null && v.length < s.minLength) fail(s.minLength === 1 ? 'must not be empty' : `must be at least ${s.minLength} characters`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) fail(`${show(v)} does not match ${s.pattern}`);
+      if (s.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T/.test(v) || Number.isNaN(Date.parse(v)))) fail(`${show(v)} is not an ISO date-time`);
+    }
+    if (Array.isArray(v) && s.items) v.forEach((x, i) => check(s.items, x, `${at}[${i}]`));
+
+    if (typeOf(v) === 'object') {
+      for (const k of s.required || []) if (!(k in v)) fail(`missing required field "${k}"`);
+      for (const [k, x] of Object.entries(v)) {
+        const path = at ? `${at}.${k}` : k;
+        if (s.properties?.[k]) check(s.properties[k], x, path);
+        else if (s.additionalProperties === false) fail(`unexpected field "${k}"`);
+        else if (typeof s.additionalProperties === 'object') check(s.additionalProperties, x, path);
+      }
+    }
+  };
+
+  check(schema, data, '');
+  return errors;
+}
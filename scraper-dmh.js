@@ -2,23 +2,62 @@ import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { validate, SCHEMA_VERSION } from './public/validate-events.js';
+import { buildICS } from './public/ics.js';
 
 const LIST_URL = 'https://demontforthall.co.uk/whats-on/';
 const OUT_FILE = path.join('public', 'dmh-events.json');
+const SCHEMA_FILE = path.join('public', 'dmh-events.schema.json');
 const DIAG_DIR = 'diagnostics';
+const HISTORY_FILE = path.join('public', 'history.json');   // derived per-event time series
+const HISTORY_DIR  = path.join('public', 'history');        // same, one file per event
+const SNAPSHOT_DIR = path.join('history', 'snapshots');     // raw per-run snapshots
+const PRODUCTIONS_FILE = path.join('public', 'dmh-productions.json');
+const RUN_REPORT_FILE = path.join('public', 'run-report.json');
+const RUN_REPORT_HTML = path.join('public', 'run-report.html');
+// warn (in the report and CI) when a run falls this far below the previous one — usually a site redesign
+const COVERAGE_DROP = { events: 0.5, seatmapPoints: 25 };
+const ALERTS_FILE = path.join('public', 'alerts.json');
+const WEBHOOK_TIMEOUT_MS = 10000;
+const HISTORY_KEEP_DAYS = 60;    // drop series for shows that ended longer ago than this
+const HISTORY_MAX_POINTS = 1000; // ~250 days at one run every 6h
+const FORECAST_WINDOW_DAYS = 14; // fit the sales curve over this much recent history
+const FORECAST_MIN_POINTS = 3;
+const PRODUCTION_GAP_DAYS = 28;  // a title back after a longer gap than this is a separate production
+
+// iCalendar feeds written next to OUT_FILE; each gets the records that pass its filter
+const ICS_FEEDS = [
+  { file: path.join('public', 'dmh-events.ics'),    name: 'De Montfort Hall shows',             filter: () => true },
+  { file: path.join('public', 'dmh-events-75.ics'), name: 'De Montfort Hall shows (75%+ sold)', filter: e => e.override_pct >= 75 },
+];
+
+const CACHE_FILE = path.join('.cache', 'events.json');   // per-event ticket link, start time, last availability
+const CACHE_KEEP_DAYS = 2;                                // forget shows once they are this far in the past
+const META_MAX_AGE_DAYS = 7;                              // re-read event page metadata weekly
+const CHECKPOINT_FILE = path.join('.cache', 'checkpoint.jsonl'); // one line per finished card, for --resume
+const CHECKPOINT_MAX_AGE_HOURS = 12;                      // older checkpoints are ignored rather than resumed
 
 // allow override via --headless=false
 let HEADLESS = (process.env.HEADLESS ?? 'true') !== 'false';
 const TIMEOUT = 60000;
 const NET_IDLE = 4500;
-const CONCURRENCY = 3;
+const HOST_GAP_MS = 750;   // minimum gap between navigations to the same host
 
 /* ---------------- CLI knobs ----------------
    --limit=20          only process first N events
    --from=2025-10-01   only events on/after this (ISO date)
    --to=2025-12-31     only events on/before this (ISO date)
    --perEventMs=25000  watchdog per event
+   --concurrency=3     events processed in parallel (one page each)
    --headless=false    show the browser
+   --venue=dmh         venue adapter(s) to crawl: id, comma list, or "all"
+   --record=dir        save all HTTP traffic (HAR) + WebSocket frames to dir (implies --no-cache, keeps no state)
+   --replay=dir        run offline against a capture made with --record (same, and no webhooks)
+   --no-cache          ignore cached ticket links/start times/availability (cache is still rewritten)
+   --rules=file        alert rules to evaluate after the run (default alerts.rules.json)
+   --no-webhooks       write alerts.json but do not POST to any webhook
+   --retries=2         extra attempts per stage for transient failures (timeouts, 5xx, network)
+   --resume            skip cards already finished by an interrupted run (see CHECKPOINT_FILE)
 */
 const argv = Object.fromEntries(
   process.argv.slice(2).map(a => {
@@ -30,7 +69,19 @@ const LIMIT        = Number.isFinite(+argv.limit) ? +argv.limit : Infinity;
 const FROM_DATE    = argv.from ? new Date(argv.from) : null;
 const TO_DATE      = argv.to ? new Date(argv.to) : null;
 const PER_EVENT_MS = Number.isFinite(+argv.perEventMs) ? +argv.perEventMs : 45000;
+const CONCURRENCY  = Number.isFinite(+argv.concurrency) && +argv.concurrency > 0 ? +argv.concurrency : 3;
 if (typeof argv.headless === 'string') HEADLESS = argv.headless !== 'false';
+const VENUE_ARG    = typeof argv.venue === 'string' ? argv.venue : 'dmh';
+const RECORD_DIR   = typeof argv.record === 'string' ? argv.record : null;
+const REPLAY_DIR   = typeof argv.replay === 'string' ? argv.replay : null;
+// a --record/--replay run is a capture or a test of one: it reads no cache (so every seat map is
+// fetched, and replayed ones are what the capture saw) and leaves .cache and the history alone
+const CAPTURE      = !!(RECORD_DIR || REPLAY_DIR);
+const USE_CACHE    = !argv['no-cache'] && !CAPTURE;
+const RULES_FILE   = typeof argv.rules === 'string' ? argv.rules : 'alerts.rules.json';
+const USE_WEBHOOKS = !argv['no-webhooks'] && !REPLAY_DIR;   // a replay is offline: alerts.json only
+const RETRIES      = Number.isFinite(+argv.retries) && +argv.retries >= 0 ? +argv.retries : 2;
+const RESUME       = !!argv.resume;
 
 /* ---------- helpers ---------- */
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
@@ -49,17 +100,83 @@ const statusToPct = (s='') => {
   if (t.includes('book')) return 48;
   return 30;
 };
-const toISO = (v) => { const d = new Date(v); return Number.isNaN(d.getTime()) ? null : d.toISOString(); };
+// how far to trust each way of getting override_pct (0–1); a "sold out" label is as good as a count
+const PCT_CONFIDENCE = { network: 0.95, dom: 0.8 };
+const statusConfidence = (s='') => /sold\s*out/i.test(s) ? 0.9 : 0.25;
+const toISO = (v) => parseScrapedDate(v);
 const isHttp = (u) => /^https?:\/\//i.test(u);
 const isWhatsOn = (u) => /^https?:\/\/[^/]*demontforthall\.co\.uk\/whats-on\//i.test(u);
 
 async function ensureDir(p){ await fs.mkdir(p, { recursive: true }).catch(()=>{}); }
 
+/* per-host politeness: every navigation waits for its host's next free slot */
+const hostNextSlot = new Map();
+async function hostTurn(url){
+  let host; try { host = new URL(url).host; } catch { return; }
+  const now = Date.now();
+  const at = Math.max(now, hostNextSlot.get(host) || 0);
+  hostNextSlot.set(host, at + HOST_GAP_MS);
+  if (at > now) await sleep(at - now);
+}
+async function politeGoto(page, url, opts){
+  await hostTurn(url);
+  const res = await page.goto(url, opts);
+  const status = res?.status() ?? 0;
+  if (status >= 400) throw Object.assign(new Error(`HTTP ${status} for ${url}`), { status });
+  return res;
+}
+
+const deadlineTimeouts = {};   // label → number of times it hit its deadline this run (for the run report)
 async function withDeadline(promise, ms, label='task'){
-  return Promise.race([
-    promise,
-    (async()=>{ await sleep(ms); throw new Error(`timeout: ${label} after ${ms}ms`); })()
-  ]);
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      deadlineTimeouts[label] = (deadlineTimeouts[label] || 0) + 1;
+      reject(new Error(`timeout: ${label} after ${ms}ms`));
+    }, ms);
+  });
+  try { return await Promise.race([promise, deadline]); }
+  finally { clearTimeout(timer); }
+}
+
+/* ---------- retries ----------
+   Errors are classified so only transient ones are retried; whatever is left is
+   recorded on the event as { stage, kind, message, attempts }.
+*/
+const ERROR_KINDS = ['timeout', 'http-4xx', 'http-5xx', 'network', 'selector', 'parse', 'other'];
+const RETRYABLE = new Set(['timeout', 'http-5xx', 'network']);
+
+const scrapeError = (kind, message) => Object.assign(new Error(message), { kind });
+
+function classifyError(e) {
+  if (ERROR_KINDS.includes(e?.kind)) return e.kind;
+  const msg = String(e?.message || e);
+  if (e?.status >= 500) return 'http-5xx';
+  if (e?.status >= 400) return 'http-4xx';
+  // a Playwright timeout while waiting on a locator means the element never appeared
+  if (/waiting for (locator|selector)|strict mode violation|not attached to the DOM/i.test(msg)) return 'selector';
+  if (e?.name === 'TimeoutError' || /^timeout:|Timeout \d+ms exceeded/i.test(msg)) return 'timeout';
+  if (/net::ERR_|ECONN|ENOTFOUND|EAI_AGAIN|socket hang up/i.test(msg)) return 'network';
+  if (e instanceof SyntaxError || /JSON|Unexpected token/i.test(msg)) return 'parse';
+  return 'other';
+}
+// 429 is a 4xx the server expects us to retry
+const isRetryable = (e, kind) => RETRYABLE.has(kind) || e?.status === 429;
+
+/** Run fn until it succeeds, retrying transient failures with exponential backoff and full jitter.
+ *  The error finally thrown carries .kind and .attempts. */
+async function withRetry(fn, { label = 'task', tries = RETRIES + 1, baseMs = 1000, maxMs = 10000 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      const kind = classifyError(e);
+      if (attempt >= tries || !isRetryable(e, kind)) throw Object.assign(e, { kind, attempts: attempt });
+      const wait = Math.random() * Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+      console.warn(`  ↻ ${label}: ${kind}, retry ${attempt}/${tries - 1} in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
+    }
+  }
 }
 
 // ---- timezone helpers (store both UTC + local wall-clock) ----
@@ -88,11 +205,61 @@ function localWallclockFromUTC(iso, tz = TZ) {
   return { local: `${y}-${mo}-${da}T${hh}:${mi}:00`, tz };
 }
 
+/** Offset of `tz` from UTC (ms) at instant `ts`. */
+function tzOffsetMs(ts, tz = TZ) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(ts));
+  const get = (t) => +parts.find(p => p.type === t).value;
+  const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUTC - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Scraped times are Europe/London wall-clock; turn one into a UTC ISO string
+ * regardless of the host timezone. At the clock changes:
+ *  - the repeated autumn hour (01:00–01:59) resolves to the earlier, BST reading;
+ *  - a time inside the spring gap (01:00–01:59) is pushed forward by the gap,
+ *    so 01:30 becomes 02:30 BST.
+ * Returns null for impossible dates (e.g. 31 June).
+ */
+function zonedToUTC(y, m, d, hh = 0, mi = 0, tz = TZ) {
+  const wall = Date.UTC(y, m - 1, d, hh, mi);
+  const w = new Date(wall);
+  if (Number.isNaN(wall) || w.getUTCDate() !== +d || w.getUTCMonth() !== m - 1 || w.getUTCHours() !== +hh) return null;
+
+  const before = tzOffsetMs(wall - 864e5, tz);
+  const after = tzOffsetMs(wall + 864e5, tz);
+  const valid = [wall - before, wall - after]
+    .filter(ts => tzOffsetMs(ts, tz) === wall - ts)
+    .sort((a, b) => a - b);
+  return new Date(valid.length ? valid[0] : wall - before).toISOString();
+}
+
+/**
+ * Dates as they appear on the sites. Explicit offsets/Z are trusted; a bare
+ * "YYYY-MM-DDTHH:MM" is London wall-clock; a bare date becomes UTC midnight,
+ * which discoverStartISO treats as "time still unknown".
+ */
+function parseScrapedDate(v) {
+  if (!v) return null;
+  const str = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return `${str}T00:00:00.000Z`;
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})[T\s](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/);
+  if (iso) return zonedToUTC(+iso[1], +iso[2], +iso[3], +iso[4], +iso[5]);
+
+  const d = new Date(str);
+  if (Number.isNaN(d.getTime())) return null;
+  if (/(Z|[+-]\d{2}:?\d{2}|GMT|UTC)$/i.test(str)) return d.toISOString();
+  // free text ("Tue 7 Oct 2025", "7 October 2025 7:30pm") was read in host time: re-read the fields as London
+  if (d.getHours() === 0 && d.getMinutes() === 0) return new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString();
+  return zonedToUTC(d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes());
+}
+
 
 /* ----------------------- TIME FINDER ----------------------- */
 async function extractStartFromTicketsolveRow(page, y, m, d){
-  const two = n => String(n).padStart(2,'0');
-
   // Wait for the header row that contains the a11y "Dates:" label,
   // or for any visible HH:MM near the top of the page.
   await page.waitForLoadState('domcontentloaded').catch(()=>{});
@@ -109,8 +276,7 @@ async function extractStartFromTicketsolveRow(page, y, m, d){
       const m24 = hhmm.match(/([01]?\d|2[0-3]):([0-5]\d)/);
       if (m24){
         const hh = parseInt(m24[1],10), mi = parseInt(m24[2],10);
-        const local = new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`);
-        return isNaN(local.getTime()) ? null : local.toISOString();
+        return zonedToUTC(y, m, d, hh, mi);
       }
     }
   }
@@ -122,8 +288,7 @@ async function extractStartFromTicketsolveRow(page, y, m, d){
     const m24 = hhmmAny.match(/([01]?\d|2[0-3]):([0-5]\d)/);
     if (m24){
       const hh = parseInt(m24[1],10), mi = parseInt(m24[2],10);
-      const local = new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`);
-      return isNaN(local.getTime()) ? null : local.toISOString();
+      return zonedToUTC(y, m, d, hh, mi);
     }
   }
   return null;
@@ -139,8 +304,7 @@ function findStartInISOish(text, y, m, d){
   const mIso = text.match(new RegExp(`${datePat}[T\\s]([01]?\\d|2[0-3]):([0-5]\\d)`));
   if (mIso){
     const hh = parseInt(mIso[1],10), mi = parseInt(mIso[2],10);
-    const iso = new Date(`${datePat}T${two(hh)}:${two(mi)}:00`).toISOString();
-    return iso;
+    return zonedToUTC(y, m, d, hh, mi);
   }
   return null;
 }
@@ -148,7 +312,7 @@ function findStartInTextOnly(text, y, m, d){
   const m24 = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
   if (m24){
     const hh = parseInt(m24[1],10), mi = parseInt(m24[2],10);
-    return new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`).toISOString();
+    return zonedToUTC(y, m, d, hh, mi);
   }
   const m12 = text.match(/\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s*(am|pm)\b/i);
   if (m12){
@@ -157,7 +321,7 @@ function findStartInTextOnly(text, y, m, d){
     const ap = m12[3].toLowerCase();
     if (ap==='pm' && hh<12) hh+=12;
     if (ap==='am' && hh===12) hh=0;
-    return new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`).toISOString();
+    return zonedToUTC(y, m, d, hh, mi);
   }
   return null;
 }
@@ -171,9 +335,7 @@ async function extractStartFromTicketsolveHeader(page, baseY, baseM, baseD){
   await page.waitForSelector('main, header, [role="main"]', { timeout: 6000 }).catch(()=>{});
 await page.waitForTimeout(1200);
 
-  return await page.evaluate(({y,m,d})=>{
-    const two=n=>String(n).padStart(2,'0');
-
+  const join = await page.evaluate(()=>{
     // 1) prefer an explicit “Dates:” a11y label if present
     const sr = Array.from(document.querySelectorAll('.sr-only'))
       .find(n => /(^|\s)dates?:\s*$/i.test((n.textContent||'').trim()));
@@ -198,28 +360,11 @@ await page.waitForTimeout(1200);
     }
     buckets.push(document.body.innerText||'');
 
-    const join = buckets.filter(Boolean).join(' • ');
+    return buckets.filter(Boolean).join(' • ');
+  });
 
-    // 24h first
-    let m24 = join.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
-    if (m24){
-      const hh = parseInt(m24[1],10), mi = parseInt(m24[2],10);
-      const local = new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`);
-      return isNaN(local.getTime()) ? null : local.toISOString();
-    }
-    // 12h fallback
-    let m12 = join.match(/\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s*(am|pm)\b/i);
-    if (m12){
-      let hh = parseInt(m12[1],10);
-      const mi = m12[2] ? parseInt(m12[2],10) : 0;
-      const ap = m12[3].toLowerCase();
-      if (ap==='pm' && hh<12) hh+=12;
-      if (ap==='am' && hh===12) hh=0;
-      const local = new Date(`${y}-${two(m)}-${two(d)}T${two(hh)}:${two(mi)}:00`);
-      return isNaN(local.getTime()) ? null : local.toISOString();
-    }
-    return null;
-  }, {y:baseY,m:baseM,d:baseD});
+  // parse here rather than in the page so the time is read as London, not browser-local
+  return join ? findStartInTextOnly(join, baseY, baseM, baseD) : null;
 }
 
 /** Sniff network payloads for a date+time signature. */
@@ -244,16 +389,18 @@ await sleep(1500);
   return found;
 }
 
-/** Generic page extractor: <time datetime>, Ticketsolve header, JSON-LD, then body text. */
+/** Generic page extractor: <time datetime>, Ticketsolve header, JSON-LD, then body text.
+ *  Returns { iso, source } where source is 'header' (page markup/text) or 'json-ld'. */
 async function extractStartISOFromPage(page, baseY, baseM, baseD){
   try{
     const t = await page.locator('time[datetime]').first().getAttribute('datetime');
-    if (t && /\dT\d/.test(t)) return new Date(t).toISOString();
+    const iso = t && /\dT\d/.test(t) ? parseScrapedDate(t) : null;
+    if (iso) return { iso, source: 'header' };
   }catch{}
 
   try{
     const headerISO = await extractStartFromTicketsolveHeader(page, baseY, baseM, baseD);
-    if (headerISO) return headerISO;
+    if (headerISO) return { iso: headerISO, source: 'header' };
   }catch{}
 
   try{
@@ -264,7 +411,8 @@ async function extractStartISOFromPage(page, baseY, baseM, baseD){
         const arr = Array.isArray(obj) ? obj : [obj];
         for (const o of arr){
           const sd = o?.startDate || o?.start || o?.start_time || o?.event?.startDate;
-          if (sd) return new Date(sd).toISOString();
+          const iso = sd ? parseScrapedDate(sd) : null;
+          if (iso) return { iso, source: 'json-ld' };
         }
       }catch{}
     }
@@ -272,28 +420,15 @@ async function extractStartISOFromPage(page, baseY, baseM, baseD){
 
   try{
     const txt = await page.evaluate(() => document.body.innerText || '');
-    let mm = txt.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
-    if (mm){
-      const hh = parseInt(mm[1],10), mi = parseInt(mm[2],10);
-      const local = new Date(`${baseY}-${two(baseM)}-${two(baseD)}T${two(hh)}:${two(mi)}:00`);
-      if (!isNaN(local.getTime())) return local.toISOString();
-    }
-    mm = txt.match(/\b(1[0-2]|0?[1-9])(?::([0-5]\d))?\s*(am|pm)\b/i);
-    if (mm){
-      let hh = parseInt(mm[1],10);
-      const mi = mm[2] ? parseInt(mm[2],10) : 0;
-      const ap = mm[3].toLowerCase();
-      if (ap==='pm' && hh<12) hh+=12;
-      if (ap==='am' && hh===12) hh=0;
-      const local = new Date(`${baseY}-${two(baseM)}-${two(baseD)}T${two(hh)}:${two(mi)}:00`);
-      if (!isNaN(local.getTime())) return local.toISOString();
-    }
+    const iso = findStartInTextOnly(txt, baseY, baseM, baseD);
+    if (iso) return { iso, source: 'header' };
   }catch{}
 
   return null;
 }
 
-/** Refine a midnight-only ISO by visiting Ticketsolve Seats first, then DMH page. */
+/** Refine a midnight-only ISO by visiting Ticketsolve Seats first, then DMH page.
+ *  Returns { iso, source } with source one of the start_source values in dmh-events.schema.json. */
 async function discoverStartISO(page, currentStartISO, eventUrl, ticketsUrl){
   if (!currentStartISO) return null;
 
@@ -301,7 +436,8 @@ async function discoverStartISO(page, currentStartISO, eventUrl, ticketsUrl){
   const { y, m, d } = ymdFromUTCDate(dt);
 
   // If it already has a time, keep it.
-  if (dt.getUTCHours() !== 0 || dt.getUTCMinutes() !== 0) return currentStartISO;
+  if (dt.getUTCHours() !== 0 || dt.getUTCMinutes() !== 0) return { iso: currentStartISO, source: 'card' };
+  const failures = [];
 
   // --- 1) Ticketsolve seats (preferred: clearly shows ", 19:30") ---
   if (ticketsUrl){
@@ -309,35 +445,38 @@ async function discoverStartISO(page, currentStartISO, eventUrl, ticketsUrl){
     if (!/\/seats\b/.test(seatsUrl)) seatsUrl = seatsUrl.replace(/\/$/, '') + '/seats';
 
     try{
-      await page.goto(seatsUrl, { waitUntil:'domcontentloaded', timeout: 20000 });
+      await politeGoto(page, seatsUrl, { waitUntil:'domcontentloaded', timeout: 20000 });
       await page.waitForLoadState('networkidle', { timeout: 2500 }).catch(()=>{});
 
       // NEW: try the explicit "Dates:" row first
       const explicit = await extractStartFromTicketsolveRow(page, y, m, d);
-      if (explicit) return explicit;
+      if (explicit) return { iso: explicit, source: 'ticketsolve-row' };
 
       // Then run the generic DOM extractor + network sniffer in parallel on the seats page
       const winner = await Promise.race([
         (async()=> await extractStartISOFromPage(page, y, m, d))(),
-        (async()=> await sniffStartFromNetwork(page, y, m, d))()
+        (async()=> { const iso = await sniffStartFromNetwork(page, y, m, d); return iso && { iso, source: 'network' }; })()
       ].map(p => p.then(v => v || null)));
 
       if (winner) return winner;
-    } catch {}
+    } catch (e) { failures.push(e); }
   }
 
   // --- 2) DMH event page fallback ---
   if (eventUrl){
     try{
-      await page.goto(eventUrl, { waitUntil:'domcontentloaded', timeout: 20000 });
+      await politeGoto(page, eventUrl, { waitUntil:'domcontentloaded', timeout: 20000 });
       await page.waitForLoadState('networkidle', { timeout: 2500 }).catch(()=>{});
-      const iso = await extractStartISOFromPage(page, y, m, d);
-      if (iso) return iso;
-    } catch {}
+      const found = await extractStartISOFromPage(page, y, m, d);
+      if (found) return found;
+    } catch (e) { failures.push(e); }
   }
 
+  // Nothing we tried even loaded: surface that (so it can be retried) instead of settling for the date.
+  if (failures.length && failures.length === [ticketsUrl, eventUrl].filter(Boolean).length) throw failures[0];
+
   // Fallback: give up and keep the midnight date.
-  return currentStartISO;
+  return { iso: currentStartISO, source: 'fallback' };
 }
 
 /* --------------------- END TIME FINDER --------------------- */
@@ -423,31 +562,125 @@ async function extractCardsFromPage(page) {
 }
 
 async function findTicketsolveOnEventPage(page, eventUrl) {
-  try {
-    await page.goto(eventUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
-    await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
-    const a = page.locator('a[href*="ticketsolve"]');
-    if (await a.count()) {
-      const href = await a.first().getAttribute('href');
-      if (href) return new URL(href, eventUrl).href;
-    }
-    const btn = page.locator('[data-href*="ticketsolve"]');
-    if (await btn.count()) {
-      const href = await btn.first().getAttribute('data-href');
-      if (href) return new URL(href, eventUrl).href;
-    }
-  } catch {}
+  await politeGoto(page, eventUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+  await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+  const a = page.locator('a[href*="ticketsolve"]');
+  if (await a.count()) {
+    const href = await a.first().getAttribute('href');
+    if (href) return new URL(href, eventUrl).href;
+  }
+  const btn = page.locator('[data-href*="ticketsolve"]');
+  if (await btn.count()) {
+    const href = await btn.first().getAttribute('data-href');
+    if (href) return new URL(href, eventUrl).href;
+  }
   return '';
 }
 
+/** Show-card metadata from the DMH event page the browser is currently on. */
+async function extractEventMeta(page) {
+  const raw = await page.evaluate(() => {
+    const T = (el) => (el?.innerText || el?.textContent || '').replace(/\s+/g, ' ').trim();
+    const metaContent = (sel) => document.querySelector(sel)?.getAttribute('content') || '';
+    const abs = (u) => { try { return u ? new URL(u, location.href).href : ''; } catch { return ''; } };
+
+    const heroImg = document.querySelector('.hero img, header img[src], main img[src]');
+    const image = abs(metaContent('meta[property="og:image"]') || metaContent('meta[name="twitter:image"]') || heroImg?.getAttribute('src'));
+
+    const firstPara = Array.from(document.querySelectorAll('main p, article p')).map(T).find(t => t.length > 40) || '';
+    const description = metaContent('meta[property="og:description"]') || metaContent('meta[name="description"]') || firstPara;
+
+    const tags = Array.from(document.querySelectorAll('[class*="genre" i], [class*="category" i], [class*="tag" i] a, a[rel="tag"]'))
+      .map(T).filter(t => t && t.length <= 30);
+
+    const main = document.querySelector('main, article, [role="main"]') || document.body;
+    return { image, description, tags, text: main.innerText || '' };
+  });
+
+  const text = raw.text;
+  const grab = (re) => (text.match(re)?.[1] || '').trim();
+  const support = grab(/(?:support(?:ed by)?|special guests?|with guests?)\s*[:\-–]\s*([^\n.]{2,80})/i);
+  return {
+    image: raw.image || null,
+    description: raw.description ? raw.description.slice(0, 300) : null,
+    genres: uniqBy(raw.tags, t => t.toLowerCase()).slice(0, 8),
+    support_acts: support ? support.split(/\s*(?:,|&|\+|\band\b)\s*/i).filter(Boolean) : [],
+    doors: wallclockHHMM(grab(/doors?(?:\s*open)?\s*[:\-–]?\s*(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)/i)),
+    curfew: wallclockHHMM(grab(/(?:curfew|finish(?:es)?(?:\s*approx\.?|\s*approximately|\s*around)?|ends?\s*approx\.?)\s*[:\-–]?\s*(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)/i)),
+    // only age wording: "Ages 8+", "14+ only", "16 years and over", "Under 14s must…" — never "2+ tickets"
+    age_restriction: grab(/\b(ages?\s*\d{1,2}\s*\+?(?:\s*(?:only|and (?:over|up)))?|\d{1,2}\s*\+\s*(?:only|years?|yrs)\b|\d{1,2}\s*(?:years?|yrs)\s*(?:old\s*)?(?:and|&|\+)\s*(?:over|up|older)|under\s*\d{1,2}s?\b[^.\n]{0,40}|over\s*\d{1,2}s\b[^.\n]{0,40}|age (?:restriction|guidance)\s*[:\-–]?[^.\n]{1,60})/i) || null
+  };
+}
+
+/** "7pm", "7.30pm", "19:30" → "19:30" (null if there is no time, or it isn't a real one like "7.75pm"). */
+function wallclockHHMM(s='') {
+  const m = s.match(/(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?/i);
+  if (!m || (!m[2] && !m[3])) return null;
+  let hh = parseInt(m[1], 10);
+  const ap = (m[3] || '').toLowerCase();
+  if (ap === 'pm' && hh < 12) hh += 12;
+  if (ap === 'am' && hh === 12) hh = 0;
+  const mi = m[2] ? parseInt(m[2], 10) : 0;
+  return hh < 24 && mi < 60 ? `${two(hh)}:${two(mi)}` : null;
+}
+
+/** One visit to the DMH event page: Ticketsolve link plus show metadata. */
+async function scanDmhEventPage(page, eventUrl) {
+  const tickets = await findTicketsolveOnEventPage(page, eventUrl);
+  const onPage = (() => { try { return new URL(page.url()).pathname === new URL(eventUrl).pathname; } catch { return false; } })();
+  const meta = onPage ? await extractEventMeta(page).catch(() => null) : null;
+  return { tickets, meta };
+}
+
+/* ---------- venue adapters ----------
+   One adapter per venue. Everything from the Ticketsolve seat map onwards is
+   shared, so an adapter only describes the venue's own site:
+     id                 short slug, written to each record as `venue`
+     name               display name
+     listUrl            first What's On page
+     isListUrl(u)       true for URLs that belong to the listing
+     collectListUrls(page)        → listing URLs (page is already on listUrl)
+     extractCards(page)           → [{ title, datetime, dateText, status, ticketsHref, eventHref }]
+     scanEventPage(page, url)     → { tickets: Ticketsolve URL or '', meta: { image, description, genres,
+                                    support_acts, doors, curfew, age_restriction } or null }
+     refineStart(page, iso, eventUrl, ticketsUrl) → { iso, source }: start with a time if one can be
+                                    found, and where it came from (start_source in the schema)
+*/
+const VENUES = {
+  dmh: {
+    id: 'dmh',
+    name: 'De Montfort Hall',
+    listUrl: LIST_URL,
+    isListUrl: isWhatsOn,
+    collectListUrls: collectPaginationUrls,
+    extractCards: extractCardsFromPage,
+    scanEventPage: scanDmhEventPage,
+    refineStart: discoverStartISO,
+  },
+};
+
+function resolveVenues(arg = 'dmh') {
+  const ids = arg === 'all' ? Object.keys(VENUES) : arg.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !VENUES[id]);
+  if (unknown.length) throw new Error(`Unknown venue(s): ${unknown.join(', ')} (known: ${Object.keys(VENUES).join(', ')})`);
+  return ids.map(id => VENUES[id]);
+}
+
 /* ---------- seat payload parsing ---------- */
+// keys whose children are seating areas; a `name` anywhere else (a row, a price level, the event) is not a zone
+const ZONE_KEYS = /^(zones?|sections?|areas?|blocks?|tiers?)$/i;
+const SEAT_TAKEN = /unavailable|not available|sold|taken|reserved|occupied|held|blocked/;
+
+/** Seat totals, plus per-zone totals keyed by the seat's own zone/section field or the area it is listed under. */
 function summariseSeatPayload(data) {
   let cap = 0, avail = 0;
+  const zones = {};
   const seen = new Set();
-  const visit = (node) => {
+  const nameOf = (v) => typeof v === 'string' ? v : (v && typeof v === 'object' ? (v.name ?? v.title ?? v.label ?? null) : null);
+  const visit = (node, zone, key) => {
     if (!node || typeof node !== 'object') return;
     if (seen.has(node)) return; seen.add(node);
-    if (Array.isArray(node)) { node.forEach(visit); return; }
+    if (Array.isArray(node)) { node.forEach(n => visit(n, zone, key)); return; }
 
     const looksLikeSeat = (
       ('seat' in node || 'seatId' in node || 'id' in node || 'x' in node || 'row' in node) &&
@@ -457,19 +690,36 @@ function summariseSeatPayload(data) {
       cap += 1;
       const s = String(node.status ?? node.state ?? '').toLowerCase();
       const a = node.available ?? node.isAvailable;
-      if (a === true || /available|free|open/.test(s)) avail += 1;
+      const free = a === true || (!SEAT_TAKEN.test(s) && /available|free|open/.test(s));
+      if (free) avail += 1;
+
+      const z = nameOf(node.zone ?? node.zoneName ?? node.section ?? node.sectionName ?? node.area ?? node.block) || zone;
+      if (z) {
+        const t = zones[z] || (zones[z] = { cap: 0, avail: 0 });
+        t.cap += 1; if (free) t.avail += 1;
+      }
+    } else {
+      const own = nameOf(node.zoneName ?? node.sectionName) || (ZONE_KEYS.test(key || '') ? nameOf(node.name ?? node.title ?? node.label) : null);
+      if (own) zone = own;
     }
-    for (const k of Object.keys(node)) visit(node[k]);
+    for (const k of Object.keys(node)) visit(node[k], zone, k);
   };
-  visit(data);
-  return { cap, avail };
+  visit(data, null, null);
+  return { cap, avail, zones };
 }
 
+const toAvailability = (cap, avail) => {
+  const sold = cap - avail;
+  return { capacity: cap, remaining: avail, sold, pct: clamp(round((sold / cap) * 100), 0, 100) };
+};
+const zoneList = (zones = {}) =>
+  Object.entries(zones).filter(([, z]) => z.cap > 0).map(([name, z]) => ({ name, ...toAvailability(z.cap, z.avail) }));
+
 async function tapAvailability(page, diagId) {
   const hits = [];
   const diag = { responses: [], ws: [] };
 
-  page.on('response', async (resp) => {
+  const onResponse = async (resp) => {
     try {
       const url = resp.url();
       const type = resp.request().resourceType();
@@ -491,28 +741,35 @@ async function tapAvailability(page, diagId) {
       const sum = summariseSeatPayload(data);
       if (sum.cap > 0) hits.push(sum);
     } catch {}
-  });
+  };
 
-  page.on('websocket', ws => {
+  const onWebSocket = (ws) => {
     const rec = { url: ws.url(), frames: [] };
     diag.ws.push(rec);
-    ws.on('framereceived', data => {
-      rec.frames.push({ in: true, size: (data||'').length });
+    ws.on('framereceived', ({ payload }) => {
+      const data = String(payload ?? '');
+      rec.frames.push({ in: true, size: data.length });
       try {
         const obj = JSON.parse(data);
         const sum = summariseSeatPayload(obj);
         if (sum.cap > 0) hits.push(sum);
       } catch {}
     });
-    ws.on('framesent', data => { rec.frames.push({ out: true, size: (data||'').length }); });
-  });
+    ws.on('framesent', ({ payload }) => { rec.frames.push({ out: true, size: String(payload ?? '').length }); });
+  };
+
+  // pages are reused across events, so listeners come off again in flush()
+  page.on('response', onResponse);
+  page.on('websocket', onWebSocket);
 
   return {
     best: () => {
       if (!hits.length) return null;
-      return hits.reduce((a,b) => (b.cap > a.cap ? b : a), { cap:0, avail:0 });
+      return hits.reduce((a,b) => (b.cap > a.cap ? b : a), { cap:0, avail:0, zones:{} });
     },
     async flush() {
+      page.off('response', onResponse);
+      page.off('websocket', onWebSocket);
       await ensureDir(DIAG_DIR);
       await fs.writeFile(path.join(DIAG_DIR, `${diagId}.json`), JSON.stringify(diag, null, 2));
     }
@@ -614,90 +871,937 @@ async function countSeatsNow(page) {
   });
 }
 
+/** Price bands shown on the seat page: "Full £25.00", "Concession £22.00 + £2.50 fee", … */
+async function readPrices(page, zone = null) {
+  const found = await page.evaluate(() => {
+    const T = (el) => (el?.innerText || el?.textContent || '').replace(/\s+/g, ' ').trim();
+    const money = /£\s?(\d+(?:\.\d{1,2})?)/g;
+    const bands = [];
+    const hits = [];
+    // innermost first, so a list wrapping several bands isn't read as one more band
+    const nodes = Array.from(document.querySelectorAll('label, [role="radio"], [role="option"], li, tr, [class*="price" i]')).reverse();
+    for (const n of nodes) {
+      if (hits.some(h => n.contains(h))) continue;
+      const text = T(n);
+      const amounts = [...text.matchAll(money)].map(m => parseFloat(m[1]));
+      if (!amounts.length || amounts.length > 2 || text.length > 100) continue;
+      const name = text.split('£')[0].replace(/[:\-–(]+\s*$/, '').trim();
+      if (!name || /total|basket|subtotal/i.test(name)) continue;
+      // "Booking fee £2.50" is not a seat price; it is read into booking_fee below
+      if (/fee|charge/i.test(name)) { hits.push(n); continue; }
+      const fee = amounts.length === 2 && /fee|\+/i.test(text) ? amounts[1] : null;
+      hits.push(n);
+      bands.unshift({ name, price: amounts[0], fee });
+    }
+    const feeMatch = (document.body.innerText || '').match(/(?:booking|transaction|service)\s*(?:fee|charge)[^£]{0,30}£\s?(\d+(?:\.\d{1,2})?)/i);
+    return { bands, booking_fee: feeMatch ? parseFloat(feeMatch[1]) : null };
+  });
+  const concession = /concession|student|child|under\s*\d+|senior|over\s*6\d|oap|nhs|disab|carer|unwaged|family|group/i;
+  return {
+    bands: found.bands.map(b => ({ ...b, type: concession.test(b.name) ? 'concession' : 'full', zone })),
+    booking_fee: found.booking_fee
+  };
+}
+
+/** Merge readPrices() results into { currency, bands, min, max, booking_fee }, or null when none were seen. */
+function summarisePrices(reads) {
+  const bands = uniqBy(reads.flatMap(r => r.bands), b => `${b.zone}|${b.name}|${b.price}`);
+  if (!bands.length) return null;
+  const values = bands.map(b => b.price);
+  return {
+    currency: 'GBP',
+    bands,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    booking_fee: reads.map(r => r.booking_fee).find(f => f != null) ?? null
+  };
+}
+
 async function computeTicketsolvePct(page, url, diagName) {
   let seatsUrl = url;
   if (!/\/seats\b/.test(seatsUrl)) seatsUrl = seatsUrl.replace(/\/$/, '') + '/seats';
 
   const tap = await tapAvailability(page, diagName);
-
+  const priceReads = [];
+  let totalCap = 0, totalAvail = 0, zoneTotals = {}, source = 'dom';
+  // the worker reuses this page for later events, so the tap's listeners must go whatever happens
   try {
-    await page.goto(seatsUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+    await politeGoto(page, seatsUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
     await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
-  } catch { await tap.flush(); return null; }
 
-  await activateSeatMap(page);
+    await activateSeatMap(page);
+    priceReads.push(await readPrices(page).catch(() => ({ bands: [], booking_fee: null })));
+
+    let best = tap.best();
+    if (best && best.cap > 0) {
+      return { ...toAvailability(best.cap, best.avail), zones: zoneList(best.zones), prices: summarisePrices(priceReads), source: 'network' };
+    }
+
+    let zones = await readZones(page);
+    const named = zones.length > 0;
+    if (!named) zones = [{ text: 'All', value: null }];
+
+    for (const z of zones) {
+      await selectZone(page, z.text, z.value).catch(() => {});
+      await page.waitForLoadState('networkidle', { timeout: NET_IDLE }).catch(() => {});
+      await sleep(600);
+
+      if (named) priceReads.push(await readPrices(page, z.text).catch(() => ({ bands: [], booking_fee: null })));
 
-  let best = tap.best();
-  if (best && best.cap > 0) {
+      best = tap.best();
+      if (best && best.cap > 0) { totalCap = best.cap; totalAvail = best.avail; zoneTotals = best.zones; source = 'network'; break; }
+
+      const { cap, avail } = await countSeatsNow(page);
+      if (cap > 0) {
+        totalCap += cap; totalAvail += avail;
+        if (named) zoneTotals[z.text] = { cap, avail };
+      }
+    }
+  } finally {
     await tap.flush();
-    const sold = best.cap - best.avail;
-    const pct = clamp(round((sold / best.cap) * 100), 0, 100);
-    return { capacity: best.cap, remaining: best.avail, sold, pct };
   }
 
-  let zones = await readZones(page);
-  if (!zones.length) zones = [{ text: 'All', value: null }];
+  const prices = summarisePrices(priceReads);
+  if (totalCap > 0) return { ...toAvailability(totalCap, totalAvail), zones: zoneList(zoneTotals), prices, source };
+  if (prices) return { pct: null, prices };
+  throw scrapeError('selector', `no seat map or availability data on ${seatsUrl}`);
+}
+
+/* ---------- history ---------- */
+const slugify = (s='') => s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
 
-  let totalCap = 0, totalAvail = 0;
-  for (const z of zones) {
-    await selectZone(page, z.text, z.value).catch(() => {});
-    await page.waitForLoadState('networkidle', { timeout: NET_IDLE }).catch(() => {});
-    await sleep(600);
+/** Ticketsolve performance number from a ticket link (…/events/428412345/seats), if it has one. */
+const ticketsolveEventId = (url='') => url.match(/ticketsolve\.com\/.*?\/events\/(\d+)/i)?.[1] || null;
 
-    best = tap.best();
-    if (best && best.cap > 0) { totalCap = best.cap; totalAvail = best.avail; break; }
+/**
+ * venue + Europe/London date + normalised title (+ local HHMM once the start time
+ * is known), for shows without a Ticketsolve link. The time is always included,
+ * not only when a matinee shares the day, so an id doesn't change when the other
+ * performance is added to or drops off the listing.
+ */
+function fallbackId(rec) {
+  const day = (rec.start_local || '').slice(0, 10) || 'nodate';
+  const base = `${rec.venue || 'dmh'}-${day}-${slugify(rec.title) || 'event'}`;
+  return hasTime(rec.start) && rec.start_local ? `${base}-${rec.start_local.slice(11, 16).replace(':', '')}` : base;
+}
+
+/** Ids this record may have had in earlier runs, newest scheme first; mergeHistory() moves their series over. */
+function idAliases(rec) {
+  const day = (rec.start_local || '').slice(0, 10) || 'nodate';
+  return uniqBy([fallbackId(rec), `${rec.venue || 'dmh'}-${day}-${slugify(rec.title) || 'event'}`], x => x);
+}
+
+/** Stable id for an event across runs: the Ticketsolve performance when the ticket link is known, otherwise fallbackId(). */
+function eventId(rec) {
+  const ts = ticketsolveEventId(rec.tickets_url || '');
+  return ts ? `${rec.venue || 'dmh'}-ts-${ts}` : fallbackId(rec);
+}
+
+/** Set `id` on every record and drop duplicates (the same performance listed twice). */
+function assignIds(records) {
+  for (const r of records) r.id = eventId(r);
+  return uniqBy(records, r => r.id);
+}
+
+async function readJSON(file, fallback) {
+  try { return JSON.parse(await fs.readFile(file, 'utf8')); } catch { return fallback; }
+}
+
+/** Tickets sold in the window ending at the latest point (null if the series is too short). */
+function soldWithin(series, ms) {
+  const pts = series.filter(p => p.sold != null);
+  if (pts.length < 2) return null;
+  const last = pts[pts.length - 1];
+  const cutoff = Date.parse(last.t) - ms;
+  const base = [...pts].reverse().find(p => Date.parse(p.t) <= cutoff) || pts[0];
+  return base === last ? null : last.sold - base.sold;
+}
 
-    const { cap, avail } = await countSeatsNow(page);
-    if (cap > 0) { totalCap += cap; totalAvail += avail; }
+/** HISTORY_FILE with this run's snapshot folded in, in memory only; writeHistory() saves it. */
+async function mergeHistory(snapshot, takenAt) {
+  const hist = await readJSON(HISTORY_FILE, null) || { runs: [], events: {} };
+  hist.runs = [...(hist.runs || []), takenAt].slice(-HISTORY_MAX_POINTS);
+
+  for (const s of snapshot) {
+    // series recorded under an older id (before the Ticketsolve link was known, or before
+    // fallback ids always carried the time) carry over to the current one
+    const alias = !hist.events[s.id] && (s.aliases || []).find(a => a !== s.id && hist.events[a]);
+    if (alias) {
+      hist.events[s.id] = hist.events[alias];
+      delete hist.events[alias];
+    }
+    const h = hist.events[s.id] || (hist.events[s.id] = { series: [] });
+    Object.assign(h, { venue: s.venue, title: s.title, start: s.start });
+    if (s.cached) continue;
+    h.series.push({ t: takenAt, capacity: s.capacity, remaining: s.remaining, sold: s.sold, pct: s.pct, status: s.status, price_min: s.price_min, price_max: s.price_max });
+    if (h.series.length > HISTORY_MAX_POINTS) h.series = h.series.slice(-HISTORY_MAX_POINTS);
+    h.velocity = { sold_24h: soldWithin(h.series, 864e5), sold_7d: soldWithin(h.series, 7 * 864e5) };
   }
 
-  await tap.flush();
+  const keepAfter = Date.parse(takenAt) - HISTORY_KEEP_DAYS * 864e5;
+  for (const [id, h] of Object.entries(hist.events)) {
+    if (h.start && Date.parse(h.start) < keepAfter) delete hist.events[id];
+  }
+  hist.updated_at = takenAt;
+  return hist;
+}
 
-  if (totalCap > 0) {
-    const sold = totalCap - totalAvail;
-    const pct = clamp(round((sold / totalCap) * 100), 0, 100);
-    return { capacity: totalCap, remaining: totalAvail, sold, pct };
+/** Write the run's snapshot to SNAPSHOT_DIR and the merged history to HISTORY_FILE (plus one file per event under HISTORY_DIR). */
+async function writeHistory(hist, snapshot) {
+  await ensureDir(SNAPSHOT_DIR);
+  const stamp = hist.updated_at.replace(/[:.]/g, '-');
+  await fs.writeFile(path.join(SNAPSHOT_DIR, `${stamp}.json`), JSON.stringify({ taken_at: hist.updated_at, events: snapshot }, null, 2), 'utf8');
+  await ensureDir(path.dirname(HISTORY_FILE));
+  await fs.writeFile(HISTORY_FILE, JSON.stringify(hist), 'utf8');
+  await fs.rm(HISTORY_DIR, { recursive: true, force: true });
+  await ensureDir(HISTORY_DIR);
+  for (const [id, h] of Object.entries(hist.events)) {
+    await fs.writeFile(path.join(HISTORY_DIR, `${id}.json`), JSON.stringify({ id, ...h }), 'utf8');
+  }
+}
+
+/* ---------- sell-out forecast ---------- */
+/**
+ * Fit sold-vs-time with least squares over the recent window and project when
+ * remaining hits zero. Returns { tickets_per_day, forecast_sellout } where the
+ * forecast is null unless the show is on course to sell out before it starts.
+ */
+function forecastSellout(series = [], startISO = null) {
+  const none = { tickets_per_day: null, forecast_sellout: null };
+  const pts = series.filter(p => p.sold != null && p.capacity > 0);
+  if (!pts.length) return none;
+  const last = pts[pts.length - 1];
+  const lastT = Date.parse(last.t);
+
+  if (last.remaining === 0) {
+    const firstOut = pts.find(p => p.remaining === 0);
+    return { tickets_per_day: null, forecast_sellout: { date: localWallclockFromUTC(firstOut.t).local.slice(0, 10), confidence: 1 } };
+  }
+
+  const recent = pts.filter(p => Date.parse(p.t) >= lastT - FORECAST_WINDOW_DAYS * 864e5);
+  const xs = recent.map(p => (Date.parse(p.t) - lastT) / 864e5);
+  const ys = recent.map(p => p.sold);
+  const n = recent.length;
+  const span = -xs[0];
+  if (n < FORECAST_MIN_POINTS || span < 0.5) return none;
+
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  const slope = sxx ? sxy / sxx : 0;
+  const tickets_per_day = Math.round(slope * 10) / 10;
+  if (slope <= 0) return { tickets_per_day, forecast_sellout: null };
+
+  const days = last.remaining / slope;
+  const soldOutAt = lastT + days * 864e5;
+  if (startISO && soldOutAt > Date.parse(startISO)) return { tickets_per_day, forecast_sellout: null };
+
+  // good fit, enough points, and not extrapolating far beyond the data we have
+  const r2 = syy ? (sxy * sxy) / (sxx * syy) : 1;
+  const confidence = r2 * Math.min(1, n / 10) * Math.min(1, (2 * span) / days);
+  return {
+    tickets_per_day,
+    forecast_sellout: {
+      date: localWallclockFromUTC(new Date(soldOutAt).toISOString()).local.slice(0, 10),
+      confidence: Math.round(clamp(confidence, 0, 1) * 100) / 100
+    }
+  };
+}
+
+/* ---------- productions ----------
+   Pantomimes and residencies are listed once per performance. A production is
+   a run of performances of the same title at the same venue with no gap longer
+   than PRODUCTION_GAP_DAYS; its stats add seats up where the seat map was read,
+   and average the percentages otherwise. The earliest run keeps the plain
+   venue-title id and later runs (a tour coming back in spring) add the month
+   they open, so an id only changes when the run before it has finished.
+*/
+function productionIds(records) {
+  const byTitle = new Map();
+  for (const r of records) {
+    const key = `${r.venue || 'dmh'}-${slugify(r.title) || 'event'}`;
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(r);
+  }
+  const ids = new Map();
+  for (const [key, recs] of byTitle) {
+    recs.sort((a, b) => (a.start || '').localeCompare(b.start || ''));
+    let id = key, prev = null;
+    for (const r of recs) {
+      const t = r.start ? Date.parse(r.start) : null;
+      if (prev != null && t != null && t - prev > PRODUCTION_GAP_DAYS * 864e5) id = `${key}-${(r.start_local || r.start).slice(0, 7)}`;
+      if (t != null) prev = t;
+      ids.set(r, id);
+    }
+  }
+  return ids;
+}
+
+function productionStats(perfs) {
+  const measured = perfs.filter(p => p.capacity > 0);
+  const starts = perfs.map(p => p.start).filter(Boolean).sort();
+  const capacity = measured.reduce((a, p) => a + p.capacity, 0);
+  const remaining = measured.reduce((a, p) => a + p.remaining, 0);
+  const pct = measured.length === perfs.length && capacity > 0
+    ? round(((capacity - remaining) / capacity) * 100)
+    : round(perfs.reduce((a, p) => a + p.override_pct, 0) / perfs.length);
+  return {
+    performances: perfs.length,
+    measured: measured.length,
+    first: starts[0] || null,
+    last: starts[starts.length - 1] || null,
+    capacity: measured.length ? capacity : null,
+    remaining: measured.length ? remaining : null,
+    pct,
+    sold_out: perfs.filter(p => p.override_pct >= 100 || /sold\s*out/i.test(p.status)).length
+  };
+}
+
+function groupProductions(records) {
+  const byId = new Map();
+  for (const r of records) {
+    const id = r.production_id;
+    if (!byId.has(id)) byId.set(id, { id, venue: r.venue, title: r.title, url: r.url, image: r.image, performances: [] });
+    byId.get(id).performances.push(r);
+  }
+  return [...byId.values()].map(p => {
+    p.performances.sort((a, b) => (a.start || '').localeCompare(b.start || ''));
+    return {
+      ...p,
+      performances: p.performances.map(r => ({
+        id: r.id, start: r.start, start_local: r.start_local, status: r.status,
+        override_pct: r.override_pct, capacity: r.capacity, remaining: r.remaining, tickets_url: r.tickets_url
+      })),
+      stats: productionStats(p.performances)
+    };
+  });
+}
+
+/* ---------- iCalendar export ----------
+   The VCALENDAR itself comes from public/ics.js, which the dashboard's export uses too. */
+const venueNames = () => Object.fromEntries(Object.values(VENUES).map(v => [v.id, v.name]));
+
+async function writeICSFeeds(events) {
+  for (const feed of ICS_FEEDS) {
+    const subset = events.filter(feed.filter);
+    await fs.writeFile(feed.file, buildICS(subset, { name: feed.name, venues: venueNames() }), 'utf8');
+    console.log(`Wrote ${subset.length} events → ${feed.file}`);
+  }
+}
+
+/* ---------- run report ----------
+   public/run-report.json (+ .html) says how healthy the scrape was: what was crawled,
+   how each percentage and start time was obtained, which stages timed out, and what
+   changed since the previous dmh-events.json.
+*/
+const DIFF_FIELDS = ['start', 'status', 'override_pct', 'tickets_url'];
+
+const eventsOf = (data) => Array.isArray(data) ? data : Array.isArray(data?.events) ? data.events : [];
+
+/**
+ * The previous run's records, re-keyed to this run's ids where they are the same show under
+ * an earlier id (start time or Ticketsolve link found since, or an older id scheme), so the
+ * diff and alerts compare the show with itself instead of reporting it removed and new.
+ * formerIds: current id → ids it may have had (idAliases() and the card's id last run).
+ */
+function carryOverIds(prevEvents, events, formerIds) {
+  const byId = new Map();
+  for (const p of prevEvents.filter(e => e.id)) {
+    for (const id of [p.id, eventId(p)]) if (!byId.has(id)) byId.set(id, p);
+  }
+  const claimed = new Map();
+  for (const e of events) {
+    for (const id of [e.id, ...(formerIds.get(e.id) || [])]) {
+      const p = byId.get(id);
+      if (p && !claimed.has(p)) { claimed.set(p, e.id); break; }
+    }
+  }
+  return prevEvents.map(p => claimed.has(p) ? { ...p, id: claimed.get(p) } : p);
+}
+const share = (n, of) => of ? Math.round((n / of) * 1000) / 10 : null;
+
+/** New, removed and changed events between two runs, keyed by id. */
+function diffRuns(prevEvents, events) {
+  const brief = (e) => ({ id: e.id, title: e.title, start: e.start ?? null });
+  const before = new Map(prevEvents.filter(e => e.id).map(e => [e.id, e]));
+  const now = new Set(events.map(e => e.id));
+  const changed = [];
+  for (const e of events) {
+    const old = before.get(e.id);
+    if (!old) continue;
+    const changes = {};
+    for (const k of DIFF_FIELDS) if ((old[k] ?? null) !== (e[k] ?? null)) changes[k] = { from: old[k] ?? null, to: e[k] ?? null };
+    if (Object.keys(changes).length) changed.push({ ...brief(e), changes });
+  }
+  return {
+    new: events.filter(e => !before.has(e.id)).map(brief),
+    removed: [...before.values()].filter(e => !now.has(e.id)).map(brief),
+    changed
+  };
+}
+
+function coverageWarnings(cur, prev) {
+  const out = [];
+  if (!cur.events) out.push('No events were scraped');
+  if (!prev) return out;
+  if (prev.events && cur.events < prev.events * (1 - COVERAGE_DROP.events)) {
+    out.push(`Events found fell from ${prev.events} to ${cur.events}`);
+  }
+  if (prev.seatmap_pct != null && cur.seatmap_pct != null && prev.seatmap_pct - cur.seatmap_pct > COVERAGE_DROP.seatmapPoints) {
+    out.push(`Seat-map coverage fell from ${prev.seatmap_pct}% to ${cur.seatmap_pct}%`);
+  }
+  return out;
+}
+
+/** { pages, events, availability, start_times, timeouts, errors, coverage, diff, warnings } for one run. */
+function buildRunReport({ startedAt, venues, pages, listed, events, cachedCount, prevEvents, prevReport }) {
+  const by = (k, v) => events.filter(e => e[k] === v).length;
+  const seatmap = by('pct_source', 'network') + by('pct_source', 'dom');
+  const dated = events.filter(e => e.start);
+  const needed = dated.filter(e => e.start_source !== 'card');
+  const refined = needed.filter(e => e.start_source !== 'fallback').length;
+  const coverage = { events: events.length, seatmap_pct: share(seatmap, events.length) };
+  return {
+    generated_at: new Date().toISOString(),
+    started_at: startedAt,
+    duration_ms: Date.now() - Date.parse(startedAt),
+    venues: venues.map(v => v.id),
+    pages: { crawled: pages.crawled, failed: pages.failed },
+    events: { listed, processed: events.length },
+    availability: {
+      seatmap, network: by('pct_source', 'network'), dom: by('pct_source', 'dom'), status: by('pct_source', 'status'),
+      cached: cachedCount
+    },
+    start_times: {
+      from_card: dated.length - needed.length,
+      needed_refinement: needed.length,
+      refined,
+      fallback: needed.length - refined,
+      missing: events.length - dated.length,
+      success_pct: share(refined, needed.length)
+    },
+    timeouts: { ...deadlineTimeouts },
+    errors: events.flatMap(e => e.errors || []).reduce((acc, x) => ({ ...acc, [`${x.stage}/${x.kind}`]: (acc[`${x.stage}/${x.kind}`] || 0) + 1 }), {}),
+    events_with_errors: events.filter(e => e.errors?.length).length,
+    coverage,
+    diff: { previous_generated_at: prevReport?.generated_at ?? null, ...diffRuns(prevEvents, events) },
+    warnings: coverageWarnings(coverage, prevReport?.coverage)
+  };
+}
+
+const htmlEscape = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+function renderRunReport(r) {
+  const row = (k, v) => `<tr><th>${htmlEscape(k)}</th><td>${htmlEscape(v)}</td></tr>`;
+  const table = (obj) => `<table>${Object.entries(obj).map(([k, v]) => row(k.replace(/_/g, ' '), v ?? '—')).join('')}</table>`;
+  const list = (items, fmt) => items.length ? `<ul>${items.map(x => `<li>${fmt(x)}</li>`).join('')}</ul>` : '<p class="muted">None</p>';
+  const show = (e) => `${htmlEscape(e.title)} <span class="muted">${htmlEscape(e.start || 'no date')}</span>`;
+  const change = (e) => `${show(e)}<br><span class="muted">${Object.entries(e.changes)
+    .map(([k, c]) => `${htmlEscape(k)}: ${htmlEscape(c.from ?? '—')} → ${htmlEscape(c.to ?? '—')}`).join('; ')}</span>`;
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>DMH scrape report — ${htmlEscape(r.generated_at)}</title>
+<style>
+  body{font:14px/1.4 system-ui,sans-serif;background:#0f1117;color:#e6e8ef;margin:0 auto;max-width:860px;padding:16px}
+  h1{font-size:20px}h2{font-size:16px;margin-top:24px}
+  table{border-collapse:collapse}th,td{text-align:left;padding:3px 12px 3px 0;font-weight:normal}th{color:#9aa3b2}
+  .warn{background:#2a1216;border:1px solid #ef4444;border-radius:10px;padding:8px 12px}
+  .muted{color:#9aa3b2}
+</style></head><body>
+<h1>Scrape report</h1>
+<p class="muted">${htmlEscape(r.generated_at)} · ${htmlEscape(r.venues.join(', '))} · took ${htmlEscape(fmtDuration(r.duration_ms))} · <a href="run-report.json" style="color:inherit">JSON</a></p>
+${r.warnings.length ? `<div class="warn">${r.warnings.map(htmlEscape).join('<br>')}</div>` : ''}
+<h2>Crawl</h2>${table({ ...r.pages, events_listed: r.events.listed, events_processed: r.events.processed })}
+<h2>Availability</h2>${table({ ...r.availability, seatmap_coverage: r.coverage.seatmap_pct == null ? null : r.coverage.seatmap_pct + '%' })}
+<h2>Start times</h2>${table({ ...r.start_times, success_pct: r.start_times.success_pct == null ? null : r.start_times.success_pct + '%' })}
+<h2>Timeouts</h2>${Object.keys(r.timeouts).length ? table(r.timeouts) : '<p class="muted">None</p>'}
+<h2>Errors after retries <span class="muted">${r.events_with_errors} events</span></h2>${Object.keys(r.errors).length ? table(r.errors) : '<p class="muted">None</p>'}
+<h2>Since previous run <span class="muted">${htmlEscape(r.diff.previous_generated_at || '')}</span></h2>
+<h3>New (${r.diff.new.length})</h3>${list(r.diff.new, show)}
+<h3>Removed (${r.diff.removed.length})</h3>${list(r.diff.removed, show)}
+<h3>Changed (${r.diff.changed.length})</h3>${list(r.diff.changed, change)}
+</body></html>
+`;
+}
+
+async function writeRunReport(report) {
+  await fs.writeFile(RUN_REPORT_FILE, JSON.stringify(report, null, 2), 'utf8');
+  await fs.writeFile(RUN_REPORT_HTML, renderRunReport(report), 'utf8');
+  for (const w of report.warnings) console.warn(`  ⚠︎ coverage: ${w}`);
+  console.log(`Run report: ${report.availability.seatmap}/${report.events.processed} from seat maps, ` +
+    `${report.diff.new.length} new / ${report.diff.removed.length} removed / ${report.diff.changed.length} changed → ${RUN_REPORT_FILE}`);
+}
+
+/* ---------- alerts ----------
+   Rules file: { webhooks: [url], rules: [{ id, type, ...params }] }. Each rule is checked
+   per event against the previous run; an event with no previous record only matches new_show.
+     pct_crossed { threshold }  override_pct went from below threshold to at/above it
+     sold_out                   status says SOLD OUT, or a counted seat map has nothing left
+     new_show                   id not in the previous run
+*/
+const isSoldOut = (e) => /sold\s*out/i.test(e?.status || '') || (e?.capacity > 0 && e.remaining === 0);
+
+const ALERT_RULES = {
+  pct_crossed: (r, e, old) => old && old.override_pct < r.threshold && e.override_pct >= r.threshold
+    && { message: `${e.title} is now ${e.override_pct}% sold (was ${old.override_pct}%)`, from: old.override_pct, to: e.override_pct },
+  sold_out: (r, e, old) => old && !isSoldOut(old) && isSoldOut(e)
+    && { message: `${e.title} has sold out`, from: old.status, to: e.status },
+  new_show: (r, e, old) => !old
+    && { message: `New show announced: ${e.title}`, from: null, to: e.status }
+};
+
+async function loadAlertRules(file) {
+  const cfg = await readJSON(file, null);
+  if (!cfg) return null;
+  const rules = (cfg.rules || []).filter(r => {
+    if (ALERT_RULES[r.type]) return true;
+    console.warn(`  ⚠︎ ${file}: skipping rule ${r.id || '?'} with unknown type "${r.type}"`);
+    return false;
+  });
+  // URLs are secrets (the token is in the path), so a bad one is reported by position, never printed
+  const named = [...(cfg.webhooks || []).map((u, i) => [`${file} webhooks[${i}]`, u]), ['ALERT_WEBHOOK_URL', process.env.ALERT_WEBHOOK_URL]];
+  const webhooks = named.filter(([name, u]) => {
+    if (!u || (URL.canParse(u) && isHttp(u))) return !!u;
+    console.warn(`  ⚠︎ skipping ${name}: not an http(s) URL`);
+    return false;
+  }).map(([, u]) => u);
+  return { rules, webhooks };
+}
+
+/** [{ rule, type, id, title, start, url, message, from, to }] for this run vs the previous one. */
+function evaluateAlerts(rules, prevEvents, events) {
+  const before = new Map(prevEvents.filter(e => e.id).map(e => [e.id, e]));
+  const alerts = [];
+  for (const e of events) {
+    for (const r of rules) {
+      const hit = ALERT_RULES[r.type](r, e, before.get(e.id));
+      if (hit) alerts.push({ rule: r.id || r.type, type: r.type, id: e.id, title: e.title, start: e.start, url: e.url || e.tickets_url || null, ...hit });
+    }
+  }
+  return alerts;
+}
+
+async function postWebhook(url, body) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return true;
+  } catch (e) {
+    console.warn(`  ⚠︎ webhook ${URL.canParse(url) ? new URL(url).host : '(invalid URL)'}: ${e.message}`);
+    return false;
   }
-  return null;
+}
+
+/**
+ * Evaluate RULES_FILE, write ALERTS_FILE and notify webhooks. A first run only writes an empty
+ * file; so does one after an old-format dmh-events.json, whose records have no ids to match on
+ * (otherwise every show would be alerted as new).
+ */
+async function runAlerts(prevEvents, events, generatedAt) {
+  const cfg = await loadAlertRules(RULES_FILE);
+  if (!cfg) return;
+  const comparable = prevEvents.some(e => e.id);
+  const alerts = comparable ? evaluateAlerts(cfg.rules, prevEvents, events) : [];
+  const body = { generated_at: generatedAt, alerts };
+  await fs.writeFile(ALERTS_FILE, JSON.stringify(body, null, 2), 'utf8');
+  console.log(`Alerts: ${alerts.length} from ${cfg.rules.length} rules${comparable ? '' : ' (no previous run to compare)'} → ${ALERTS_FILE}`);
+  if (!alerts.length || !USE_WEBHOOKS) return;
+  // `text` keeps the payload readable in Slack/Teams-style incoming webhooks
+  const when = (iso) => hasTime(iso) ? localWallclockFromUTC(iso).local.replace('T', ' ').slice(0, 16) : iso.slice(0, 10);
+  const text = alerts.map(a => `• ${a.message}${a.start ? ` (${when(a.start)})` : ''}`).join('\n');
+  for (const url of cfg.webhooks) await postWebhook(url, { ...body, text });
+}
+
+/* ---------- record / replay ----------
+   HTTP goes through Playwright's HAR routing. HAR has no WebSocket support, so
+   frames are kept in websockets.json and replayed with routeWebSocket: inbound
+   frames are sent in the order they arrived, each batch released by the
+   outbound message that preceded it in the capture.
+*/
+const HAR_FILE = 'network.har';
+const WS_FILE = 'websockets.json';
+
+const encodeFrame = (payload) => typeof payload === 'string' ? { text: payload } : { base64: Buffer.from(payload).toString('base64') };
+const decodeFrame = (f) => f.text ?? Buffer.from(f.base64, 'base64');
+
+async function startRecording(context, dir) {
+  await ensureDir(dir);
+  await context.routeFromHAR(path.join(dir, HAR_FILE), { update: true, updateContent: 'embed', updateMode: 'full' });
+
+  const sockets = [];
+  const watch = (page) => page.on('websocket', ws => {
+    const rec = { url: ws.url(), frames: [] };
+    sockets.push(rec);
+    ws.on('framereceived', ({ payload }) => rec.frames.push({ dir: 'in', ...encodeFrame(payload) }));
+    ws.on('framesent', ({ payload }) => rec.frames.push({ dir: 'out', ...encodeFrame(payload) }));
+  });
+  context.pages().forEach(watch);
+  context.on('page', watch);
+
+  // the HAR itself is only written when the context closes
+  return {
+    async save() {
+      await fs.writeFile(path.join(dir, WS_FILE), JSON.stringify(sockets, null, 2), 'utf8');
+      console.log(`Recorded ${sockets.length} websocket(s) → ${dir}/ (HAR written on close)`);
+    }
+  };
+}
+
+async function startReplay(context, dir) {
+  const har = path.join(dir, HAR_FILE);
+  await fs.access(har).catch(() => { throw new Error(`No capture at ${har} (make one with --record=${dir})`); });
+  await context.routeFromHAR(har, { notFound: 'abort' });
+
+  const sockets = await readJSON(path.join(dir, WS_FILE), []);
+  const opened = new Map();   // url → connections so far, to replay repeat visits in order
+  await context.routeWebSocket(/.*/, ws => {
+    const recs = sockets.filter(r => r.url === ws.url());
+    const n = opened.get(ws.url()) || 0;
+    opened.set(ws.url(), n + 1);
+    const rec = recs[n] || recs[recs.length - 1];
+    if (!rec) { ws.close().catch(() => {}); return; }
+
+    const batches = [[]];
+    for (const f of rec.frames) {
+      if (f.dir === 'out') batches.push([]);
+      else batches[batches.length - 1].push(f);
+    }
+    let next = 0;
+    const release = () => { for (const f of batches[next++] || []) ws.send(decodeFrame(f)); };
+    ws.onMessage(release);
+    release();
+  });
+  console.log(`Replaying ${har} (+${sockets.length} websocket(s)); unrecorded requests are aborted`);
+}
+
+/* ---------- worker pool ---------- */
+/**
+ * Run fn(item, page, i, renewPage) over items with `workers` pages working in parallel.
+ * renewPage() closes the worker's page and resolves to a fresh one, which the worker
+ * keeps using. Results keep input order. An error escaping fn is fatal: workers stop
+ * taking new items, in-flight ones finish, pages are closed, then the error is rethrown.
+ */
+async function runPool(items, { workers, newPage }, fn) {
+  const results = new Array(items.length);
+  let next = 0, fatal = null;
+
+  const worker = async () => {
+    let page = await newPage();
+    const renewPage = async () => {
+      await page.close().catch(() => {});
+      return (page = await newPage());
+    };
+    try {
+      while (!fatal && next < items.length) {
+        const i = next++;
+        if (page.isClosed()) page = await newPage();   // crashed tab: start the next item on a fresh one
+        try { results[i] = await fn(items[i], page, i, renewPage); }
+        catch (e) { fatal = fatal || e; }
+      }
+    } finally { await page.close().catch(() => {}); }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(workers, items.length) }, worker));
+  if (fatal) throw fatal;
+  return results;
+}
+
+const fmtDuration = (ms) => {
+  const s = Math.round(ms / 1000);
+  return s >= 3600 ? `${Math.floor(s / 3600)}h${two(Math.floor(s / 60) % 60)}m` : s >= 60 ? `${Math.floor(s / 60)}m${two(s % 60)}s` : `${s}s`;
+};
+
+/** One log line per finished item with % done and an ETA from the average pace so far. */
+function progressLogger(total) {
+  const t0 = Date.now();
+  let done = 0;
+  return (label) => {
+    done++;
+    const elapsed = Date.now() - t0;
+    const eta = fmtDuration((elapsed / done) * (total - done));
+    console.log(`[${done}/${total} ${round((done / total) * 100)}% · ${fmtDuration(elapsed)} elapsed · ETA ${eta}] ${label}`);
+  };
+}
+
+/* ---------- per-event cache ----------
+   Entries are keyed by event id; `aliases` maps each listing card (venue, title
+   and date as listed) to the id it resolved to last time, so a card can find
+   its entry before its Ticketsolve link is known.
+   Ticket links and refined start times don't change, so once found they are
+   reused. Availability is reused while it is fresh enough for how soon (and
+   whether) the show is likely to move:
+     next 7 days      every run
+     sold out         daily
+     within 30 days   every 12h
+     further out      every 48h
+*/
+const HOUR = 36e5;
+
+function availabilityMaxAge(entry, startISO, now) {
+  const days = startISO ? (Date.parse(startISO) - now) / (24 * HOUR) : Infinity;
+  if (days <= 7) return 0;
+  if (entry.availability?.remaining === 0) return 24 * HOUR;
+  if (days <= 30) return 12 * HOUR;
+  return 48 * HOUR;
+}
+
+function freshAvailability(entry, startISO, now = Date.now()) {
+  if (!entry?.availability || !entry.checked_at) return null;
+  return now - Date.parse(entry.checked_at) < availabilityMaxAge(entry, startISO, now) ? entry.availability : null;
+}
+
+async function loadCache() {
+  const cache = USE_CACHE ? await readJSON(CACHE_FILE, null) : null;
+  return cache?.events ? cache : { events: {}, aliases: {} };
+}
+
+async function saveCache(cache) {
+  const keepAfter = Date.now() - CACHE_KEEP_DAYS * 24 * HOUR;
+  for (const [id, v] of Object.entries(cache.events)) {
+    if (v.start && Date.parse(v.start) < keepAfter) delete cache.events[id];
+  }
+  for (const [alias, id] of Object.entries(cache.aliases)) {
+    if (!cache.events[id]) delete cache.aliases[alias];
+  }
+  await ensureDir(path.dirname(CACHE_FILE));
+  await fs.writeFile(CACHE_FILE, JSON.stringify(cache, null, 2), 'utf8');
+}
+
+/* ---------- checkpoint ----------
+   JSON Lines: a header { venues, started_at }, then one processCard result per
+   line, appended as each card finishes. With --resume those cards are not
+   crawled again and their results are merged into the output. A line cut off
+   by the runner dying is ignored. The file is removed once OUT_FILE is written.
+*/
+async function readCheckpoint(venuesKey) {
+  let text;
+  try { text = await fs.readFile(CHECKPOINT_FILE, 'utf8'); } catch { return null; }
+  const lines = text.split('\n').filter(Boolean).flatMap(l => { try { return [JSON.parse(l)]; } catch { return []; } });
+  const [head, ...rows] = lines;
+  const age = Date.now() - Date.parse(head?.started_at);
+  if (head?.venues !== venuesKey || !(age < CHECKPOINT_MAX_AGE_HOURS * HOUR)) {
+    console.warn(`Ignoring ${CHECKPOINT_FILE}: ${head?.venues !== venuesKey ? `it is for venues "${head?.venues}"` : 'it is too old'}`);
+    return null;
+  }
+  return { head, done: new Map(rows.filter(r => r.alias && r.record).map(r => [r.alias, r])) };
+}
+
+/** { done: Map(alias → result), add(result), clear() }; starts a fresh file unless resuming. */
+async function openCheckpoint(venues) {
+  const venuesKey = venues.map(v => v.id).join(',');
+  const prev = RESUME && !CAPTURE ? await readCheckpoint(venuesKey) : null;
+  // a resumed checkpoint keeps its original start, so chained resumes still age out
+  const head = prev?.head || { venues: venuesKey, started_at: new Date().toISOString() };
+  const done = prev?.done || new Map();
+  if (CAPTURE) return { done, add: (r) => { done.set(r.alias, r); }, clear: async () => {} };
+  await ensureDir(path.dirname(CHECKPOINT_FILE));
+  await fs.writeFile(CHECKPOINT_FILE, [head, ...done.values()].map(x => JSON.stringify(x) + '\n').join(''), 'utf8');
+  let writing = Promise.resolve();   // workers finish concurrently; keep appends whole and in order
+  return {
+    done,
+    add: (r) => { done.set(r.alias, r); return (writing = writing.then(() => fs.appendFile(CHECKPOINT_FILE, JSON.stringify(r) + '\n', 'utf8'))); },
+    clear: () => writing.then(() => fs.rm(CHECKPOINT_FILE, { force: true }))
+  };
+}
+
+/* ---------- per-event pipeline ----------
+   start_source says where `start` came from: the listing card itself, the Ticketsolve "Dates:"
+   row, other page markup, JSON-LD, a sniffed network payload, or nothing better than the listed
+   date. The schema's enum is the list; validate() catches a new source that isn't in it. */
+
+const cardDateISO = (c) => (c.datetime && toISO(c.datetime)) || (c.dateText && toISO(c.dateText)) || null;
+const cardAlias = (c) => `${c.venue}|${c.title}|${c.datetime || c.dateText}`;
+const hasTime = (iso) => !!iso && !/T00:00:00(\.000)?Z$/.test(iso);
+
+/** Ticket link, start time and seat-map percentage for one listing card. */
+async function processCard(p, c, cache = { events: {}, aliases: {} }, renewPage = null) {
+  const venue = VENUES[c.venue];
+  const errors = [];
+  // a stage that hit the deadline may still be driving `p`; the retry and later stages get a fresh page
+  const attempt = (label, fn) => withRetry(async () => {
+    try { return await withDeadline(fn(), PER_EVENT_MS, label); }
+    catch (e) {
+      if (renewPage && classifyError(e) === 'timeout') p = await renewPage();
+      throw e;
+    }
+  }, { label: `${label} [${c.title}]` });
+  const failed = (stage, e) => {
+    const err = { stage, kind: e.kind || classifyError(e), message: String(e.message || e).split('\n')[0].slice(0, 200), attempts: e.attempts || 1 };
+    errors.push(err);
+    console.warn(`  ⚠︎ ${stage} [${c.title}]: ${err.kind} after ${err.attempts} attempt(s): ${err.message}`);
+  };
+  const alias = cardAlias(c);
+  const cached = cache.events[cache.aliases[alias]] || {};
+
+  let tickets = c.ticketsHref;
+  if ((!tickets || !/ticketsolve/i.test(tickets)) && cached.tickets) tickets = cached.tickets;
+  const needTickets = !tickets || !/ticketsolve/i.test(tickets);
+  let meta = cached.meta && Date.now() - Date.parse(cached.meta_at) < META_MAX_AGE_DAYS * 24 * HOUR ? cached.meta : null;
+  const metaFresh = !!meta;
+  if ((needTickets || !meta) && c.eventHref) {
+    try {
+      const scan = await attempt('findTicketsolveOnEventPage', () => venue.scanEventPage(p, c.eventHref));
+      if (needTickets) tickets = scan.tickets;
+      if (scan.meta) meta = scan.meta;
+    } catch (e) {
+      failed('event-page', e);
+    }
+  }
+
+  let start = cardDateISO(c);
+  let start_source = !start ? null : hasTime(start) ? 'card' : 'fallback';
+  if (start && !hasTime(start) && hasTime(cached.start)) {
+    start = cached.start;
+    start_source = cached.start_source || 'fallback';
+  }
+
+  // refine start time
+  try {
+    if (start && !hasTime(start)) {
+      const refined = await attempt('discoverStartISO', () => venue.refineStart(p, start, c.eventHref, tickets));
+      if (refined?.iso) { start = refined.iso; start_source = refined.source; }
+    }
+  } catch (e) {
+    failed('start-time', e);
+  }
+
+  let pct = null, seats = freshAvailability(cached, start), prices = seats?.prices ?? null;
+  const fromCache = !!seats;
+  if (seats) pct = seats.pct;
+  else if (tickets) {
+    try {
+      const diagName = `${c.venue}-${(c.title||'event').slice(0,60).replace(/[^\w\-]+/g,'_')}-${start||'no-date'}`;
+      const r = await attempt('computeTicketsolvePct', () => computeTicketsolvePct(p, tickets, diagName));
+      if (r?.pct != null) { pct = r.pct; seats = r; }
+      if (r?.prices) prices = r.prices;
+    } catch (e) {
+      failed('seat-count', e);
+    }
+  }
+  const pct_source = pct != null ? (seats.source || 'dom') : 'status';
+  const pct_confidence = pct != null ? PCT_CONFIDENCE[pct_source] : statusConfidence(c.status);
+  if (pct == null) pct = statusToPct(c.status);
+
+  const cacheEntry = {
+    tickets: tickets || cached.tickets || '',
+    start: hasTime(start) ? start : (cached.start || start || null),
+    start_source: hasTime(start) ? start_source : (cached.start_source || null),
+    availability: seats || cached.availability || null,
+    checked_at: fromCache ? cached.checked_at : (seats ? new Date().toISOString() : cached.checked_at || null),
+    meta: meta || cached.meta || null,
+    meta_at: metaFresh ? cached.meta_at : (meta ? new Date().toISOString() : cached.meta_at || null)
+  };
+
+  const start_utc = start || null;
+  const { local: start_local, tz } = localWallclockFromUTC(start_utc);
+
+  const record = {
+    venue: c.venue,
+    title: c.title,
+    // keep existing field for backward compatibility (UTC):
+    start: start_utc,
+    // ALSO include local wall-clock + timezone:
+    start_local,         // e.g. "2025-10-07T19:30:00" (no Z)
+    tz,                  // "Europe/London"
+    status: (c.status || '').toUpperCase(),
+    override_pct: pct,
+    pct_source,
+    pct_confidence,
+    start_source,
+    capacity: seats?.capacity ?? null,
+    remaining: seats?.remaining ?? null,
+    zones: seats?.zones || [],
+    prices,
+    url: c.eventHref || null,
+    tickets_url: tickets || null,
+    image: meta?.image ?? null,
+    description: meta?.description ?? null,
+    genres: meta?.genres ?? [],
+    support_acts: meta?.support_acts ?? [],
+    doors: meta?.doors ?? null,
+    curfew: meta?.curfew ?? null,
+    age_restriction: meta?.age_restriction ?? null,
+    // stages that still failed after retries: [{ stage, kind, message, attempts }]
+    errors
+  };
+  const snap = {
+    id: null,            // set once the whole run's ids are assigned
+    venue: c.venue,
+    title: c.title,
+    start: start_utc,
+    status: record.status,
+    capacity: seats?.capacity ?? null,
+    remaining: seats?.remaining ?? null,
+    sold: seats?.sold ?? null,
+    pct,
+    price_min: prices?.min ?? null,
+    price_max: prices?.max ?? null,
+    // a reused reading is not a new data point for the sales curve
+    cached: fromCache
+  };
+  return { record, snap, cacheEntry, alias, cached: fromCache };
 }
 
 /* ---------- main ---------- */
 async function main() {
+  const venues = resolveVenues(VENUE_ARG);
+  if (RECORD_DIR && REPLAY_DIR) throw new Error('--record and --replay cannot be used together');
   await ensureDir(path.dirname(OUT_FILE));
   await ensureDir(DIAG_DIR);
 
   const browser = await chromium.launch({ headless: HEADLESS });
   const context = await browser.newContext({
-    userAgent: `Mozilla/5.0 (${os.platform()}; ${os.arch()}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36`
+    userAgent: `Mozilla/5.0 (${os.platform()}; ${os.arch()}) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36`,
+    // a service worker would answer requests before the HAR router sees them
+    serviceWorkers: (RECORD_DIR || REPLAY_DIR) ? 'block' : 'allow'
   });
+  const recorder = RECORD_DIR ? await startRecording(context, RECORD_DIR) : null;
+  if (REPLAY_DIR) await startReplay(context, REPLAY_DIR);
 
   try {
-    const p0 = await context.newPage();
-    await p0.goto(LIST_URL, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
-    await p0.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
-    await expand(p0);
-    const pageUrls = (await collectPaginationUrls(p0)).filter(u => isHttp(u) && isWhatsOn(u));
-    await p0.close();
-
+    const startedAt = new Date().toISOString();
     const raw = [];
-    for (const url of pageUrls) {
-      const p = await context.newPage();
-      try {
-        await p.goto(url, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
-        await p.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
-        await expand(p);
-        raw.push(...await extractCardsFromPage(p));
-      } catch (e) {
-        console.warn('List page failed', url, e.message);
-      } finally { await p.close().catch(() => {}); }
+    const pageUrls = [];
+    let pagesFailed = 0;
+    for (const venue of venues) {
+      const p0 = await context.newPage();
+      await politeGoto(p0, venue.listUrl, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+      await p0.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+      await expand(p0);
+      const urls = (await venue.collectListUrls(p0)).filter(u => isHttp(u) && venue.isListUrl(u));
+      await p0.close();
+
+      for (const url of urls) {
+        const p = await context.newPage();
+        try {
+          await politeGoto(p, url, { waitUntil: 'domcontentloaded', timeout: TIMEOUT });
+          await p.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+          await expand(p);
+          raw.push(...(await venue.extractCards(p)).map(c => ({ ...c, venue: venue.id })));
+        } catch (e) {
+          pagesFailed++;
+          console.warn(`List page failed [${venue.id}]`, url, e.message);
+        } finally { await p.close().catch(() => {}); }
+      }
+      pageUrls.push(...urls);
     }
-    let cards = uniqBy(raw, x => `${x.title}|${x.datetime || x.dateText}`);
+    let cards = uniqBy(raw, x => `${x.venue}|${x.title}|${x.datetime || x.dateText}`);
 
     // date window + limit
-    const getDateISO = (c) => (c.datetime && toISO(c.datetime)) || (c.dateText && toISO(c.dateText)) || null;
     if (FROM_DATE || TO_DATE) {
       cards = cards.filter(c => {
-        const iso = getDateISO(c);
+        const iso = cardDateISO(c);
         if (!iso) return true;
         const d = new Date(iso);
         if (FROM_DATE && d < FROM_DATE) return false;
@@ -707,82 +1811,87 @@ async function main() {
     }
     if (isFinite(LIMIT)) cards = cards.slice(0, LIMIT);
 
-    console.log(`Discovered ${cards.length} events across ${pageUrls.length} pages`);
-
-    const tsPages = [];
-    for (let i = 0; i < CONCURRENCY; i++) tsPages.push(await context.newPage());
-
-    const out = [];
-    for (let i = 0; i < cards.length; i++) {
-      const c = cards[i];
-      const p = tsPages[i % CONCURRENCY];
-
-      console.log(`[${i+1}/${cards.length}] ${c.title}`);
-
-      let tickets = c.ticketsHref;
-      if ((!tickets || !/ticketsolve/i.test(tickets)) && c.eventHref) {
-        try {
-          tickets = await withDeadline(findTicketsolveOnEventPage(p, c.eventHref), PER_EVENT_MS, 'findTicketsolveOnEventPage');
-        } catch (e) {
-          console.warn('  ⚠︎ ticketsolve discovery:', e.message);
-        }
-      }
-
-      let start = getDateISO(c);
-
-      // refine start time
-      try {
-        if (start) {
-          const refined = await withDeadline(discoverStartISO(p, start, c.eventHref, tickets), PER_EVENT_MS, 'discoverStartISO');
-          if (refined) start = refined;
-        }
-      } catch (e) {
-        console.warn('  ⚠︎ time refine:', e.message);
-      }
-
-      let pct = null;
-      if (tickets) {
-        try {
-          const r = await withDeadline(
-            computeTicketsolvePct(p, tickets, `${(c.title||'event').slice(0,60).replace(/[^\w\-]+/g,'_')}-${start||'no-date'}`),
-            PER_EVENT_MS,
-            'computeTicketsolvePct'
-          );
-          if (r?.pct != null) pct = r.pct;
-        } catch (e) {
-          console.warn('  ⚠︎ seat count:', e.message);
-        }
-      }
-      if (pct == null) pct = statusToPct(c.status);
-
-      console.log(`  ↳ ${pct}% sold${start ? ' • ' + start : ''}`);
-
-      const start_utc = start || null;
-const { local: start_local, tz } = localWallclockFromUTC(start_utc);
-
-out.push({
-  title: c.title,
-  // keep existing field for backward compatibility (UTC):
-  start: start_utc,
-  // ALSO include local wall-clock + timezone:
-  start_local,         // e.g. "2025-10-07T19:30:00" (no Z)
-  tz,                  // "Europe/London"
-  status: (c.status || '').toUpperCase(),
-  override_pct: pct
-});
-
+    console.log(`Discovered ${cards.length} events across ${pageUrls.length} pages (${venues.map(v => v.id).join(', ')})`);
+
+    const cache = await loadCache();
+    const checkpoint = await openCheckpoint(venues);
+    const todo = cards.filter(c => !checkpoint.done.has(cardAlias(c)));
+    if (todo.length < cards.length) console.log(`Resuming: ${cards.length - todo.length}/${cards.length} events already done in ${CHECKPOINT_FILE}`);
+    const progress = progressLogger(todo.length);
+    await runPool(todo, { workers: CONCURRENCY, newPage: () => context.newPage() }, async (c, p, i, renewPage) => {
+      const r = await processCard(p, c, cache, renewPage);
+      await checkpoint.add(r);
+      progress(`${c.title} ↳ ${r.record.override_pct}% sold${r.cached ? ' (cached)' : ''}${r.record.start ? ' • ' + r.record.start : ''}`);
+      return r;
+    });
+    const results = cards.map(c => checkpoint.done.get(cardAlias(c)));
+    const out = assignIds(results.map(r => r.record));
+    const formerIds = new Map();
+    for (const r of results) {
+      Object.assign(r.snap, { id: r.record.id, aliases: idAliases(r.record) });
+      formerIds.set(r.record.id, [...r.snap.aliases, cache.aliases[r.alias]].filter(Boolean));
+      cache.events[r.record.id] = r.cacheEntry;
+      cache.aliases[r.alias] = r.record.id;
     }
-
-    const final = uniqBy(out, x => `${x.title}|${x.start}|${x.override_pct}`);
-    await fs.writeFile(OUT_FILE, JSON.stringify(final, null, 2), 'utf8');
-    console.log(`Wrote ${final.length} events → ${OUT_FILE}`);
+    const snapshot = uniqBy(results.map(r => r.snap), x => x.id);
+    // history and cache stay in memory until the envelope validates: a rejected run leaves no trace
+    const hist = await mergeHistory(snapshot, new Date().toISOString());
+
+    const prodIds = productionIds(out);
+    const final = out.map(x => ({ id: x.id, ...x, production_id: prodIds.get(x), ...forecastSellout(hist.events[x.id]?.series, x.start) }));
+    const productions = groupProductions(final);
+    const envelope = {
+      schema_version: SCHEMA_VERSION,
+      generated_at: new Date().toISOString(),
+      source: { scraper: 'dmh-scraper', venues: venues.map(v => ({ id: v.id, name: v.name, url: v.listUrl })) },
+      events: final,
+      // per-production totals, so the dashboard shows the same numbers as dmh-productions.json
+      productions: Object.fromEntries(productions.map(p => [p.id, p.stats]))
+    };
+    const prevEvents = carryOverIds(eventsOf(await readJSON(OUT_FILE, null)), final, formerIds);
+    const problems = validate(JSON.parse(await fs.readFile(SCHEMA_FILE, 'utf8')), envelope);
+    if (problems.length) {
+      throw new Error(`Output does not match ${SCHEMA_FILE} (schema ${SCHEMA_VERSION}); not writing ${OUT_FILE}:\n  ${problems.join('\n  ')}`);
+    }
+    if (!CAPTURE) {
+      await saveCache(cache);
+      console.log(`Cache: ${results.filter(r => r.cached).length}/${results.length} availability reused → ${CACHE_FILE}`);
+      await writeHistory(hist, snapshot);
+      console.log(`History: ${Object.keys(hist.events).length} events over ${hist.runs.length} runs → ${HISTORY_FILE}`);
+    }
+    await fs.writeFile(OUT_FILE, JSON.stringify(envelope, null, 2), 'utf8');
+    console.log(`Wrote ${final.length} events → ${OUT_FILE} (schema ${SCHEMA_VERSION})`);
+    await checkpoint.clear();
+
+    await fs.writeFile(PRODUCTIONS_FILE, JSON.stringify(productions, null, 2), 'utf8');
+    console.log(`Wrote ${productions.length} productions (${productions.filter(p => p.stats.performances > 1).length} multi-performance runs) → ${PRODUCTIONS_FILE}`);
+    await writeICSFeeds(final);
+    await writeRunReport(buildRunReport({
+      startedAt, venues,
+      pages: { crawled: pageUrls.length, failed: pagesFailed },
+      listed: raw.length,
+      events: final,
+      cachedCount: results.filter(r => r.cached).length,
+      prevEvents,
+      prevReport: await readJSON(RUN_REPORT_FILE, null)
+    }));
+    await runAlerts(prevEvents, final, envelope.generated_at);
     console.log(`Diagnostics saved in: ./${DIAG_DIR}/ (one JSON per event)`);
   } finally {
+    await recorder?.save().catch(e => console.warn('Recording not saved:', e.message));
     await context.close().catch(() => {});
     await browser.close().catch(() => {});
   }
 }
 
+// extractors and parsers, so they can be driven against saved pages without a crawl,
+// and the run-to-run comparison behind the report and alerts
+export {
+  extractCardsFromPage, collectPaginationUrls, extractStartISOFromPage,
+  summariseSeatPayload, countSeatsNow, statusToPct, wallclockHHMM, zonedToUTC, parseScrapedDate,
+  assignIds, idAliases, carryOverIds, diffRuns, evaluateAlerts, loadAlertRules, postWebhook, runAlerts
+};
+
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(e => { console.error(e); process.exit(1); });
 }
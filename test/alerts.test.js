@@ -0,0 +1,122 @@
+// Alert rules against a previous run, and webhook delivery to a local stub server.
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { evaluateAlerts, loadAlertRules, postWebhook, runAlerts } from '../scraper-dmh.js';
+
+const RULES = [
+  { id: 'busy-90', type: 'pct_crossed', threshold: 90 },
+  { id: 'sold-out', type: 'sold_out' },
+  { id: 'new-show', type: 'new_show' }
+];
+const show = (o) => ({ venue: 'dmh', title: o.id, start: '2030-10-07T18:30:00.000Z', status: 'BOOK NOW', override_pct: 50, ...o });
+
+let server, base, received = [];
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      if (req.url === '/fail') { res.writeHead(500).end(); return; }
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise(r => server.close(r)));
+
+// runAlerts reads alerts.rules.json and writes public/alerts.json relative to the working directory
+async function inTempDir(fn) {
+  const cwd = process.cwd(), dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dmh-alerts-'));
+  try {
+    await fs.mkdir(path.join(dir, 'public'));
+    process.chdir(dir);
+    return await fn(dir);
+  } finally {
+    process.chdir(cwd);
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('pct_crossed, sold_out and new_show fire only on the change since the previous run', () => {
+  const prev = [
+    show({ id: 'busy', override_pct: 80 }),
+    show({ id: 'selling', status: 'LIMITED', override_pct: 95 }),
+    show({ id: 'counted', capacity: 100, remaining: 3, override_pct: 97 }),
+    show({ id: 'already-busy', override_pct: 92 })
+  ];
+  const now = [
+    show({ id: 'busy', override_pct: 91 }),
+    show({ id: 'selling', status: 'SOLD OUT', override_pct: 100 }),
+    show({ id: 'counted', capacity: 100, remaining: 0, override_pct: 100 }),
+    show({ id: 'already-busy', override_pct: 94 }),
+    show({ id: 'fresh' })
+  ];
+  const alerts = evaluateAlerts(RULES, prev, now);
+  assert.deepEqual(alerts.map(a => [a.rule, a.id]), [
+    ['busy-90', 'busy'],
+    ['sold-out', 'selling'],
+    ['sold-out', 'counted'],
+    ['new-show', 'fresh']
+  ]);
+  assert.deepEqual(alerts[0], {
+    rule: 'busy-90', type: 'pct_crossed', id: 'busy', title: 'busy', start: '2030-10-07T18:30:00.000Z', url: null,
+    message: 'busy is now 91% sold (was 80%)', from: 80, to: 91
+  });
+});
+
+test('loadAlertRules drops unknown rule types and webhook URLs that are not http(s)', async () => {
+  await inTempDir(async () => {
+    await fs.writeFile('rules.json', JSON.stringify({
+      webhooks: [`${base}/a`, 'not a url', 'ftp://example.com/hook'],
+      rules: [...RULES, { id: 'odd', type: 'nope' }]
+    }));
+    const saved = process.env.ALERT_WEBHOOK_URL;
+    process.env.ALERT_WEBHOOK_URL = '::also bad';
+    try {
+      const cfg = await loadAlertRules('rules.json');
+      assert.deepEqual(cfg.rules.map(r => r.id), ['busy-90', 'sold-out', 'new-show']);
+      assert.deepEqual(cfg.webhooks, [`${base}/a`]);
+    } finally {
+      if (saved === undefined) delete process.env.ALERT_WEBHOOK_URL; else process.env.ALERT_WEBHOOK_URL = saved;
+    }
+    assert.equal(await loadAlertRules('missing.json'), null);
+  });
+});
+
+test('postWebhook reports a failing or malformed URL as false instead of throwing', async () => {
+  assert.equal(await postWebhook(`${base}/ok`, { hello: 1 }), true);
+  assert.equal(await postWebhook(`${base}/fail`, {}), false);
+  assert.equal(await postWebhook('not a url', {}), false);
+  assert.deepEqual(received.at(-1), { url: '/ok', body: { hello: 1 } });
+});
+
+test('runAlerts posts to every webhook, carrying on past one that fails', async () => {
+  received = [];
+  await inTempDir(async () => {
+    await fs.writeFile('alerts.rules.json', JSON.stringify({ webhooks: [`${base}/fail`, `${base}/hook`], rules: RULES }));
+    await runAlerts([show({ id: 'busy', override_pct: 80 })], [show({ id: 'busy', override_pct: 91 })], '2030-10-01T00:00:00.000Z');
+    const written = JSON.parse(await fs.readFile('public/alerts.json', 'utf8'));
+    assert.deepEqual(written.alerts.map(a => a.rule), ['busy-90']);
+  });
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, '/hook');
+  assert.match(received[0].body.text, /busy is now 91% sold \(was 80%\) \(2030-10-07 19:30\)/);
+});
+
+test('a previous run without ids (the old bare-array file) counts as no previous run', async () => {
+  received = [];
+  await inTempDir(async () => {
+    await fs.writeFile('alerts.rules.json', JSON.stringify({ webhooks: [`${base}/hook`], rules: RULES }));
+    const legacy = [{ title: 'busy', start: '2030-10-07T18:30:00.000Z', status: 'BOOK NOW', override_pct: 80 }];
+    await runAlerts(legacy, [show({ id: 'busy', override_pct: 91 }), show({ id: 'fresh' })], '2030-10-01T00:00:00.000Z');
+    const written = JSON.parse(await fs.readFile('public/alerts.json', 'utf8'));
+    assert.deepEqual(written.alerts, []);
+  });
+  assert.equal(received.length, 0);
+});
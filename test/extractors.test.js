@@ -0,0 +1,108 @@
+// Extractors driven through Playwright against the saved pages in fixtures/. Run with `npm test`;
+// skipped (not failed) when no Chromium is installed — `npx playwright install chromium`.
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import { chromium } from 'playwright';
+import {
+  extractCardsFromPage, collectPaginationUrls, extractStartISOFromPage,
+  summariseSeatPayload, countSeatsNow, statusToPct, wallclockHHMM
+} from '../scraper-dmh.js';
+
+const fixture = (name) => new URL(`../fixtures/${name}`, import.meta.url);
+
+let browser = null, page = null, noBrowser = false;
+try { browser = await chromium.launch(); } catch (e) { noBrowser = `Chromium not available: ${e.message.split('\n')[0]}`; }
+
+before(async () => {
+  if (!browser) return;
+  page = await browser.newPage();
+  page.setDefaultTimeout(2000);   // the extractors probe for optional elements; don't wait 30s for each
+});
+after(async () => { await browser?.close(); });
+
+const open = (name) => page.goto(fixture(name).href);
+
+test('extractCardsFromPage reads title, date, status and links from each listing card', { skip: noBrowser }, async () => {
+  await open('listing.html');
+  const cards = await extractCardsFromPage(page);
+  assert.equal(cards.length, 3);
+  assert.deepEqual(cards[0], {
+    title: 'Level 42',
+    datetime: '2025-10-06T19:30',
+    dateText: '2025-10-06T19:30',
+    status: 'Sold Out',
+    ticketsHref: 'https://demontforthall.ticketsolve.com/ticketbooth/shows/873654321/events/428412345',
+    eventHref: 'https://demontforthall.co.uk/event/level-42/'
+  });
+  assert.deepEqual(cards[1], {
+    title: 'Cinderella',
+    datetime: '',
+    dateText: 'Sat 20 Dec 2025',
+    status: 'Limited Availability',
+    ticketsHref: 'https://demontforthall.ticketsolve.com/ticketbooth/shows/873600001/events/428400002',
+    eventHref: 'https://demontforthall.co.uk/event/cinderella/'
+  });
+  assert.equal(cards[2].title, 'An Evening With…');
+  assert.equal(cards[2].datetime, '2026-01-15');
+  assert.equal(cards[2].status, 'Book Now');
+});
+
+test('statusToPct maps the listing CTA labels to estimated percentages', () => {
+  assert.deepEqual(['Sold Out', 'Limited Availability', 'Last few', 'Book Now', ''].map(statusToPct), [100, 85, 75, 48, 30]);
+});
+
+test('wallclockHHMM normalises doors/curfew times and rejects ones that are not real', () => {
+  assert.deepEqual(['7pm', '7.30pm', '19:30', '12am', '12.15pm'].map(t => wallclockHHMM(t)), ['19:00', '19:30', '19:30', '00:00', '12:15']);
+  assert.deepEqual(['7.75pm', '19:60', '25:00', 'seven', ''].map(t => wallclockHHMM(t)), [null, null, null, null, null]);
+});
+
+test('collectPaginationUrls expands the page numbers and keeps other what\'s-on links', { skip: noBrowser }, async () => {
+  await open('listing.html');
+  const urls = await collectPaginationUrls(page);
+  assert.deepEqual(urls.sort(), [
+    'https://demontforthall.co.uk/whats-on/',
+    'https://demontforthall.co.uk/whats-on/?genre=comedy',
+    'https://demontforthall.co.uk/whats-on/page/2/',
+    'https://demontforthall.co.uk/whats-on/page/3/'
+  ]);
+});
+
+test('extractStartISOFromPage reads the Ticketsolve "Dates:" header as London time', { skip: noBrowser }, async () => {
+  await open('ticketsolve-seats.html');
+  assert.deepEqual(await extractStartISOFromPage(page, 2025, 10, 25), { iso: '2025-10-25T18:30:00.000Z', source: 'header' });
+});
+
+test('extractStartISOFromPage falls back to JSON-LD startDate on an event page', { skip: noBrowser }, async () => {
+  await open('event-page.html');
+  assert.deepEqual(await extractStartISOFromPage(page, 2025, 12, 20), { iso: '2025-12-20T14:30:00.000Z', source: 'json-ld' });
+});
+
+test('countSeatsNow counts seats on the rendered seat map and which are still free', { skip: noBrowser }, async () => {
+  await open('ticketsolve-seats.html');
+  assert.deepEqual(await countSeatsNow(page), { cap: 10, avail: 4 });
+});
+
+test('summariseSeatPayload totals seats per zone from a Ticketsolve seat payload', async () => {
+  const data = JSON.parse(await fs.readFile(fixture('seat-payload.json'), 'utf8'));
+  // the named row C stays part of Stalls, and its "unavailable" seat is not free
+  assert.deepEqual(summariseSeatPayload(data), {
+    cap: 10,
+    avail: 5,
+    zones: {
+      Stalls: { cap: 7, avail: 4 },
+      Balcony: { cap: 2, avail: 1 },
+      Box: { cap: 1, avail: 0 }
+    }
+  });
+});
+
+test('summariseSeatPayload counts "unavailable" seats as taken and takes zones only from area-like keys', () => {
+  assert.deepEqual(summariseSeatPayload([{ id: 1, status: 'unavailable' }, { id: 2, status: 'unavailable' }]), { cap: 2, avail: 0, zones: {} });
+  const data = {
+    name: 'Level 42',
+    priceLevels: [{ name: 'Band A', seats: [{ id: 1, status: 'open' }, { id: 2, status: 'Not available' }] }],
+    sections: [{ name: 'Circle', rows: [{ name: 'Row K', seats: [{ id: 3, state: 'AVAILABLE' }, { id: 4, state: 'held' }] }] }]
+  };
+  assert.deepEqual(summariseSeatPayload(data), { cap: 4, avail: 2, zones: { Circle: { cap: 2, avail: 1 } } });
+});
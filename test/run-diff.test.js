@@ -0,0 +1,45 @@
+// Comparing a run with the previous one when a show's id has changed in between.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assignIds, idAliases, carryOverIds, diffRuns } from '../scraper-dmh.js';
+
+const show = (o) => ({ venue: 'dmh', title: 'Foo', status: 'BOOK NOW', override_pct: 40, ...o });
+const formerIdsOf = (events, lastRun = {}) => new Map(events.map(e => [e.id, [...idAliases(e), lastRun[e.id]].filter(Boolean)]));
+
+test('a show whose start time was found since the last run is changed, not removed and new', () => {
+  const prev = [show({ id: 'dmh-2025-10-07-foo', start: '2025-10-07T00:00:00.000Z', start_local: '2025-10-07T00:00:00' })];
+  const events = assignIds([show({ start: '2025-10-07T18:30:00.000Z', start_local: '2025-10-07T19:30:00', override_pct: 55 })]);
+  assert.equal(events[0].id, 'dmh-2025-10-07-foo-1930');
+  const diff = diffRuns(carryOverIds(prev, events, formerIdsOf(events)), events);
+  assert.deepEqual([diff.new, diff.removed], [[], []]);
+  assert.deepEqual(diff.changed[0].changes.override_pct, { from: 40, to: 55 });
+});
+
+test('a show that gained a Ticketsolve link keeps its place through its fallback id', () => {
+  const prev = [show({ id: 'dmh-2025-10-07-foo-1930', start: '2025-10-07T18:30:00.000Z', start_local: '2025-10-07T19:30:00' })];
+  const events = assignIds([show({ start: '2025-10-07T18:30:00.000Z', start_local: '2025-10-07T19:30:00',
+    tickets_url: 'https://demontforthall.ticketsolve.com/ticketbooth/shows/1/events/428412345' })]);
+  assert.equal(events[0].id, 'dmh-ts-428412345');
+  const diff = diffRuns(carryOverIds(prev, events, formerIdsOf(events)), events);
+  assert.deepEqual([diff.new, diff.removed], [[], []]);
+  assert.deepEqual(Object.keys(diff.changed[0].changes), ['tickets_url']);
+});
+
+test('the id the listing card had last run is matched too, and each old record is claimed once', () => {
+  const prev = [show({ id: 'dmh-something-else', start: '2025-10-07T18:30:00.000Z' })];
+  const events = assignIds([
+    show({ start: '2025-10-07T18:30:00.000Z', start_local: '2025-10-07T19:30:00' }),
+    show({ title: 'Bar', start: '2025-10-08T18:30:00.000Z', start_local: '2025-10-08T19:30:00' })
+  ]);
+  const lastRun = { [events[0].id]: 'dmh-something-else', [events[1].id]: 'dmh-something-else' };
+  const diff = diffRuns(carryOverIds(prev, events, formerIdsOf(events, lastRun)), events);
+  assert.deepEqual(diff.new.map(e => e.title), ['Bar']);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('a show that really went away is still removed', () => {
+  const prev = [show({ id: 'dmh-2025-10-07-foo-1930', start: '2025-10-07T18:30:00.000Z', start_local: '2025-10-07T19:30:00' })];
+  const events = assignIds([show({ title: 'Bar', start: '2025-10-08T18:30:00.000Z', start_local: '2025-10-08T19:30:00' })]);
+  const diff = diffRuns(carryOverIds(prev, events, formerIdsOf(events)), events);
+  assert.deepEqual([diff.new.length, diff.removed.map(e => e.id)], [1, ['dmh-2025-10-07-foo-1930']]);
+});
@@ -0,0 +1,66 @@
+// London wall-clock → UTC around the clock changes. Run with `npm test`.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { zonedToUTC, parseScrapedDate } from '../scraper-dmh.js';
+
+const SCRAPER = fileURLToPath(new URL('../scraper-dmh.js', import.meta.url));
+
+test('summer evening is BST (UTC+1), winter evening is GMT', () => {
+  assert.equal(zonedToUTC(2025, 10, 7, 19, 30), '2025-10-07T18:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 12, 20, 19, 30), '2025-12-20T19:30:00.000Z');
+});
+
+test('autumn weekend: the repeated 01:00–01:59 hour takes the earlier, BST reading', () => {
+  assert.equal(zonedToUTC(2025, 10, 26, 0, 30), '2025-10-25T23:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 10, 26, 1, 30), '2025-10-26T00:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 10, 26, 2, 30), '2025-10-26T02:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 10, 25, 19, 30), '2025-10-25T18:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 10, 26, 19, 30), '2025-10-26T19:30:00.000Z');
+});
+
+test('spring weekend: a time in the 01:00–01:59 gap is pushed forward to BST', () => {
+  assert.equal(zonedToUTC(2025, 3, 30, 0, 30), '2025-03-30T00:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 3, 30, 1, 30), '2025-03-30T01:30:00.000Z');   // 02:30 BST
+  assert.equal(zonedToUTC(2025, 3, 30, 2, 30), '2025-03-30T01:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 3, 29, 19, 30), '2025-03-29T19:30:00.000Z');
+  assert.equal(zonedToUTC(2025, 3, 30, 19, 30), '2025-03-30T18:30:00.000Z');
+});
+
+test('impossible dates and times are rejected', () => {
+  assert.equal(zonedToUTC(2025, 6, 31, 19, 30), null);
+  assert.equal(zonedToUTC(2025, 2, 29, 19, 30), null);
+  assert.equal(zonedToUTC(2025, 13, 1, 19, 30), null);
+  assert.equal(zonedToUTC(2025, 10, 7, 24, 0), null);
+  assert.equal(zonedToUTC(2024, 2, 29, 19, 30), '2024-02-29T19:30:00.000Z');
+});
+
+test('parseScrapedDate: bare wall-clock is London, explicit offsets are trusted, bare dates are the midnight sentinel', () => {
+  assert.equal(parseScrapedDate('2025-10-26T01:30'), '2025-10-26T00:30:00.000Z');
+  assert.equal(parseScrapedDate('2025-03-30 01:30'), '2025-03-30T01:30:00.000Z');
+  assert.equal(parseScrapedDate('2025-10-07T19:30:00+01:00'), '2025-10-07T18:30:00.000Z');
+  assert.equal(parseScrapedDate('2025-10-07T18:30:00Z'), '2025-10-07T18:30:00.000Z');
+  assert.equal(parseScrapedDate('2025-10-07'), '2025-10-07T00:00:00.000Z');
+  assert.equal(parseScrapedDate('7 October 2025 19:30'), '2025-10-07T18:30:00.000Z');
+  assert.equal(parseScrapedDate('2025-06-31T19:30'), null);
+  assert.equal(parseScrapedDate('not a date'), null);
+  assert.equal(parseScrapedDate(''), null);
+});
+
+// the same conversions must not depend on the machine's own timezone
+for (const tz of ['UTC', 'America/New_York', 'Asia/Tokyo', 'Australia/Lord_Howe']) {
+  test(`results are the same with TZ=${tz}`, () => {
+    const script = `
+      const { zonedToUTC, parseScrapedDate } = await import(${JSON.stringify(SCRAPER)});
+      console.log(JSON.stringify([
+        zonedToUTC(2025, 10, 26, 1, 30), zonedToUTC(2025, 3, 30, 1, 30), zonedToUTC(2025, 6, 31, 19, 30),
+        parseScrapedDate('2025-10-07T19:30'), parseScrapedDate('7 October 2025 19:30'), parseScrapedDate('26 October 2025 01:30')
+      ]));`;
+    const out = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env: { ...process.env, TZ: tz }, encoding: 'utf8' });
+    assert.deepEqual(JSON.parse(out), [
+      '2025-10-26T00:30:00.000Z', '2025-03-30T01:30:00.000Z', null,
+      '2025-10-07T18:30:00.000Z', '2025-10-07T18:30:00.000Z', '2025-10-26T00:30:00.000Z'
+    ]);
+  });
+}